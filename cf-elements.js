@@ -42,12 +42,18 @@
 (function () {
   "use strict";
 
+  // Rendering to strings works anywhere; everything that touches the live DOM
+  // (style injection, custom element registration, runtimes) is browser-only
+  const isBrowser =
+    typeof window !== "undefined" && typeof document !== "undefined";
+
   // ==========================================================================
   // LOADING STATE - Prevent Flash of Unstyled Content (FOUC)
   // ==========================================================================
 
   // Inject loading state CSS immediately to hide content until rendered
   (function injectLoadingStyles() {
+    if (!isBrowser) return;
     const style = document.createElement('style');
     style.id = 'cf-loading-styles';
     style.textContent = `
@@ -59,6 +65,10 @@
         opacity: 1;
         transition: opacity 0.1s ease-in;
       }
+      /* Live hosts stay in the DOM around their output */
+      [data-live-host] {
+        display: contents;
+      }
     `;
     // Insert at the start of head to ensure it's applied immediately
     if (document.head) {
@@ -76,6 +86,7 @@
 
   // Inject background styles immediately
   (function injectBgStyles() {
+    if (!isBrowser) return;
     const style = document.createElement('style');
     style.id = 'cf-bg-styles';
     style.textContent = `
@@ -118,12 +129,13 @@
   /**
    * Extract Google Font names from the document
    * Scans font attributes on cf-* elements and styleguide data
+   * @param {Document|Element} root - Limit the element scan to this subtree
    */
-  function extractFontsFromDocument() {
+  function extractFontsFromDocument(root = document) {
     const fonts = new Set();
 
     // 1. Extract from font attributes on elements
-    document.querySelectorAll('[font]').forEach(el => {
+    queryAll(root, '[font]').forEach(el => {
       const font = el.getAttribute('font');
       if (font) {
         // Clean and add font name
@@ -153,7 +165,7 @@
     }
 
     // 3. Extract from inline font-family styles in cf-* elements
-    document.querySelectorAll('cf-headline, cf-subheadline, cf-paragraph, cf-button').forEach(el => {
+    queryAll(root, 'cf-headline, cf-subheadline, cf-paragraph, cf-button').forEach(el => {
       const style = el.getAttribute('style') || '';
       const match = style.match(/font-family:\s*["']?([^"';,]+)/i);
       if (match) {
@@ -203,9 +215,10 @@
   /**
    * Auto-load Google Fonts from document
    * Called before element rendering
+   * @param {Document|Element} root - Only scan this subtree (default: document)
    */
-  function loadGoogleFonts() {
-    const fonts = extractFontsFromDocument();
+  function loadGoogleFonts(root = document) {
+    const fonts = extractFontsFromDocument(root);
     injectGoogleFonts(fonts);
   }
 
@@ -342,6 +355,656 @@
     'reveal', 'rocking', 'bouncing', 'wooble', 'elevate',
   ];
 
+  /**
+   * Actions a countdown can list in on-expire
+   */
+  const EXPIRY_ACTIONS = ['hide-ids', 'show-ids', 'redirect', 'open-popup'];
+
+  // Input validators: an error message, or "" when the value is valid
+  const validEmail = (value) =>
+    (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? "" : "Please enter a valid email address");
+  const validPhone = (value) =>
+    (/^\d{7,15}$/.test(value.replace(/[\s().+-]/g, "")) ? "" : "Please enter a valid phone number");
+  const validZip = (value) =>
+    (/^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/.test(value) ? "" : "Please enter a valid postal code");
+  const validPassword = (value) =>
+    (value.length >= 8 ? "" : "Password must be at least 8 characters");
+
+  /**
+   * ClickFunnels contact input types: the HTML input type, autocomplete
+   * token, default placeholder and client-side validator for each.
+   */
+  const INPUT_TYPES = {
+    email: { html: "email", autocomplete: "email", placeholder: "Email Address", validate: validEmail },
+    name: { html: "text", autocomplete: "name", placeholder: "Full Name" },
+    full_name: { html: "text", autocomplete: "name", placeholder: "Full Name" },
+    first_name: { html: "text", autocomplete: "given-name", placeholder: "First Name" },
+    last_name: { html: "text", autocomplete: "family-name", placeholder: "Last Name" },
+    phone_number: { html: "tel", autocomplete: "tel", placeholder: "Phone Number", validate: validPhone },
+    address: { html: "text", autocomplete: "address-line1", placeholder: "Address" },
+    city: { html: "text", autocomplete: "address-level2", placeholder: "City" },
+    state: { html: "text", autocomplete: "address-level1", placeholder: "State" },
+    zip: { html: "text", autocomplete: "postal-code", placeholder: "Zip Code", validate: validZip },
+    country: { html: "text", autocomplete: "country-name", placeholder: "Country" },
+    shipping_address: { html: "text", autocomplete: "shipping address-line1", placeholder: "Shipping Address" },
+    shipping_city: { html: "text", autocomplete: "shipping address-level2", placeholder: "Shipping City" },
+    shipping_state: { html: "text", autocomplete: "shipping address-level1", placeholder: "Shipping State" },
+    shipping_zip: { html: "text", autocomplete: "shipping postal-code", placeholder: "Shipping Zip Code", validate: validZip },
+    shipping_country: { html: "text", autocomplete: "shipping country-name", placeholder: "Shipping Country" },
+    password: { html: "password", autocomplete: "new-password", placeholder: "Password", validate: validPassword },
+    custom_type: { html: "text", autocomplete: "", placeholder: "" },
+  };
+
+  // ==========================================================================
+  // ATTRIBUTE SCHEMA - Machine-readable list of every component's attributes
+  // ==========================================================================
+
+  /**
+   * Attribute types:
+   *   string, color, length, number, boolean ("true"/"false"), url, icon
+   *   (FontAwesome classes), code (raw HTML/CSS), date (YYYY-MM-DD), time (HH:MM:SS),
+   *   enum   - one of `presets`
+   *   preset - a name from `presets` or a custom value of the same kind
+   *
+   * `default` is what the component uses when the attribute is missing; it is
+   * read by attr(), so the schema is the single source of component defaults.
+   * Attributes without a default are simply not applied when missing.
+   */
+
+  // Styleguide references accepted by shadow, border and corner attributes
+  const STYLEGUIDE_REFS = ["style1", "style2", "style3"];
+
+  const ANIMATION_SCHEMA = {
+    animation: { type: "enum", presets: ANIMATION_TYPES, description: "Animation name" },
+    "animation-time": { type: "number", default: "1000", description: "Duration in ms" },
+    "animation-delay": { type: "number", default: "0", description: "Delay in ms" },
+    "animation-trigger": { type: "enum", default: "load", presets: ["load", "scroll", "hover"], description: "When to play: load, scroll, hover" },
+    "animation-timing": { type: "enum", default: "ease", presets: ["ease", "ease-in", "ease-out", "ease-in-out", "linear"], description: "Timing function" },
+    "animation-direction": { type: "enum", default: "normal", presets: ["normal", "reverse", "alternate", "alternate-reverse"], description: "Animation direction" },
+    "animation-once": { type: "boolean", default: "true", description: "Only play the first time a scroll trigger fires" },
+    "animation-loop": { type: "boolean", default: "false", description: "Repeat forever" },
+  };
+
+  const ELEMENT_SCHEMA = {
+    "cf-page": {
+      description: "Root content node",
+      attributes: {
+        bg: { type: "color", default: "#ffffff", description: "Background color" },
+        "bg-image": { type: "url", description: "Background image URL" },
+        "bg-style": { type: "enum", presets: Object.keys(BG_STYLE_CLASSES), description: "Background image style: cover, cover-center (default), parallax, w100, w100h100, no-repeat, repeat, repeat-x, repeat-y" },
+        gradient: { type: "string", description: "CSS gradient" },
+        overlay: { type: "color", description: "Overlay color (rgba)" },
+        color: { type: "color", description: "Default text color (inherited by child elements)" },
+        "text-color": { type: "color", default: "#334155", description: "Alias for color" },
+        "link-color": { type: "color", default: "#3b82f6", description: "Default link color" },
+        font: { type: "string", description: "Default font family (e.g., \"Roboto\") - inherited by child elements" },
+        "font-family": { type: "string", description: "Alias for font" },
+        "font-weight": { type: "preset", presets: Object.keys(FONT_WEIGHTS), description: "Default font weight" },
+        "header-code": { type: "code", description: "Custom header HTML/scripts" },
+        "footer-code": { type: "code", description: "Custom footer HTML/scripts" },
+        css: { type: "code", description: "Custom CSS" },
+      },
+    },
+    "cf-section": {
+      description: "Section container",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (target for scroll-to and show/hide buttons)" },
+        container: { type: "enum", default: "full", presets: Object.keys(CONTAINER_WIDTHS), description: "Width: small, mid, midWide, wide, full" },
+        bg: { type: "color", description: "Background color" },
+        "bg-image": { type: "url", description: "Background image URL" },
+        "bg-style": { type: "enum", presets: Object.keys(BG_STYLE_CLASSES), description: "Background image style: cover, cover-center (default), parallax, w100, w100h100, no-repeat, repeat, repeat-x, repeat-y" },
+        gradient: { type: "string", description: "CSS gradient" },
+        overlay: { type: "color", description: "Overlay color" },
+        paint: { type: "enum", presets: ["lightest", "light", "colored", "dark", "darkest"], description: "Styleguide paint theme: lightest, light, colored, dark, darkest" },
+        pt: { type: "length", default: "64px", description: "Padding top (e.g., \"80px\", \"64px\")" },
+        pb: { type: "length", default: "64px", description: "Padding bottom" },
+        px: { type: "length", default: "0", description: "Padding horizontal (left & right)" },
+        mt: { type: "length", description: "Margin top (NO margin-bottom!)" },
+        shadow: { type: "preset", presets: [...Object.keys(SHADOWS), ...STYLEGUIDE_REFS], description: "Shadow preset, styleguide ref (style1-3), or custom" },
+        rounded: { type: "preset", presets: Object.keys(RADIUS), description: "Border radius preset or value" },
+        corner: { type: "enum", presets: STYLEGUIDE_REFS, description: "Styleguide corner ref (style1-3)" },
+        border: { type: "preset", presets: [...Object.keys(BORDER_WIDTHS), ...STYLEGUIDE_REFS], description: "Border width or styleguide ref (style1-3)" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style (solid, dashed, dotted)" },
+        "border-color": { type: "color", description: "Border color" },
+        show: { type: "enum", presets: ["desktop", "mobile"], description: "Visibility: desktop, mobile" },
+        "brand-asset": { type: "enum", presets: ["background", "pattern"], description: "Brand asset type for bg-image: background, pattern" },
+        "video-bg": { type: "url", description: "YouTube, Vimeo, Wistia or MP4 URL for video background" },
+        "video-bg-overlay": { type: "color", description: "Overlay color for video (rgba format, defaults to bg if rgba)" },
+        "video-bg-hide-mobile": { type: "boolean", default: "true", description: "Hide video on mobile (true/false, default true)" },
+        "video-bg-style": { type: "enum", default: "fill", presets: ["fill", "fit"], description: "Video style: fill (default), fit" },
+        "video-bg-poster": { type: "url", description: "Image shown while the video loads and where it is hidden (defaults to the video thumbnail)" },
+      },
+    },
+    "cf-row": {
+      description: "Row container for columns",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (target for scroll-to and show/hide buttons)" },
+        width: { type: "preset", default: "wide", presets: Object.keys(ROW_WIDTHS), description: "Max width: narrow, medium, wide, extra, or px value" },
+        bg: { type: "color", description: "Background color" },
+        "bg-image": { type: "url", description: "Background image URL" },
+        "bg-style": { type: "enum", presets: Object.keys(BG_STYLE_CLASSES), description: "Background image style: cover, cover-center, parallax, etc." },
+        gradient: { type: "string", description: "CSS gradient" },
+        overlay: { type: "color", description: "Overlay color" },
+        paint: { type: "enum", presets: ["lightest", "light", "colored", "dark", "darkest"], description: "Styleguide paint theme: lightest, light, colored, dark, darkest" },
+        pt: { type: "length", description: "Padding top" },
+        pb: { type: "length", description: "Padding bottom" },
+        px: { type: "length", description: "Padding horizontal (left & right)" },
+        mt: { type: "length", description: "Margin top" },
+        shadow: { type: "preset", presets: [...Object.keys(SHADOWS), ...STYLEGUIDE_REFS], description: "Shadow preset, styleguide ref (style1-3), or custom" },
+        rounded: { type: "preset", presets: Object.keys(RADIUS), description: "Border radius" },
+        corner: { type: "enum", presets: STYLEGUIDE_REFS, description: "Styleguide corner ref (style1-3)" },
+        border: { type: "preset", presets: [...Object.keys(BORDER_WIDTHS), ...STYLEGUIDE_REFS], description: "Border width or styleguide ref (style1-3)" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        "border-color": { type: "color", description: "Border color" },
+        "brand-asset": { type: "enum", presets: ["background", "pattern"], description: "Brand asset type for bg-image: background, pattern" },
+        show: { type: "enum", presets: ["desktop", "mobile"], description: "Only show on: desktop, mobile" },
+        ...ANIMATION_SCHEMA,
+      },
+    },
+    "cf-col": {
+      description: "Column container (12-column grid)",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (target for scroll-to and show/hide buttons)" },
+        span: { type: "number", default: "12", description: "Column width 1-12" },
+        align: { type: "enum", default: "left", presets: ["left", "center", "right"], description: "Column alignment: left, center, right" },
+        show: { type: "enum", presets: ["desktop", "mobile"], description: "Only show on: desktop, mobile" },
+        bg: { type: "color", description: "Background color" },
+        "bg-image": { type: "url", description: "Background image URL" },
+        "bg-style": { type: "enum", presets: Object.keys(BG_STYLE_CLASSES), description: "Background image style: cover, cover-center (default), parallax, etc." },
+        gradient: { type: "string", description: "CSS gradient" },
+        overlay: { type: "color", description: "Overlay color" },
+        paint: { type: "enum", presets: ["lightest", "light", "colored", "dark", "darkest"], description: "Styleguide paint theme: lightest, light, colored, dark, darkest" },
+        pt: { type: "length", description: "Padding top" },
+        pb: { type: "length", description: "Padding bottom" },
+        px: { type: "length", description: "Padding horizontal (left & right unified)" },
+        mx: { type: "length", default: "16px", description: "Margin horizontal (creates column gaps)" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Shadow" },
+        rounded: { type: "preset", presets: Object.keys(RADIUS), description: "Border radius (all corners)" },
+        corner: { type: "enum", presets: STYLEGUIDE_REFS, description: "Styleguide corner ref (style1-3)" },
+        "rounded-tl": { type: "preset", presets: Object.keys(RADIUS), description: "Border radius top-left" },
+        "rounded-tr": { type: "preset", presets: Object.keys(RADIUS), description: "Border radius top-right" },
+        "rounded-bl": { type: "preset", presets: Object.keys(RADIUS), description: "Border radius bottom-left" },
+        "rounded-br": { type: "preset", presets: Object.keys(RADIUS), description: "Border radius bottom-right" },
+        border: { type: "preset", presets: Object.keys(BORDER_WIDTHS), description: "Border width" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        "border-color": { type: "color", description: "Border color" },
+        "brand-asset": { type: "enum", presets: ["background", "pattern"], description: "Brand asset type for bg-image: background, pattern" },
+      },
+    },
+    "cf-flex": {
+      description: "Flex container for advanced layouts",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (target for scroll-to and show/hide buttons)" },
+        direction: { type: "enum", default: "row", presets: ["row", "col", "row-reverse", "col-reverse"], description: "row, col, row-reverse, col-reverse" },
+        justify: { type: "enum", default: "start", presets: ["start", "center", "end", "between", "around", "evenly"], description: "start, center, end, between, around, evenly" },
+        items: { type: "enum", default: "start", presets: ["start", "center", "end", "stretch", "baseline"], description: "start, center, end, stretch, baseline" },
+        wrap: { type: "boolean", description: "true/false" },
+        gap: { type: "length", default: "1.5em", description: "Gap between items (e.g., \"16px\")" },
+        bg: { type: "color", description: "Background color" },
+        gradient: { type: "string", description: "CSS gradient" },
+        paint: { type: "enum", presets: ["lightest", "light", "colored", "dark", "darkest"], description: "Styleguide paint theme: lightest, light, colored, dark, darkest" },
+        p: { type: "length", description: "Padding all sides" },
+        px: { type: "length", description: "Padding horizontal" },
+        py: { type: "length", description: "Padding vertical" },
+        pt: { type: "length", description: "Padding top" },
+        pb: { type: "length", description: "Padding bottom" },
+        mt: { type: "length", description: "Margin top (NO margin-bottom!)" },
+        shadow: { type: "preset", presets: [...Object.keys(SHADOWS), ...STYLEGUIDE_REFS], description: "Shadow preset or styleguide ref (style1-3)" },
+        rounded: { type: "preset", presets: Object.keys(RADIUS), description: "Border radius" },
+        corner: { type: "enum", presets: STYLEGUIDE_REFS, description: "Styleguide corner ref (style1-3)" },
+        border: { type: "preset", presets: [...Object.keys(BORDER_WIDTHS), ...STYLEGUIDE_REFS], description: "Border width or styleguide ref (style1-3)" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        "border-color": { type: "color", description: "Border color" },
+        width: { type: "length", description: "Width (percentage or px)" },
+        height: { type: "length", description: "Height (px)" },
+        show: { type: "enum", presets: ["desktop", "mobile"], description: "Only show on: desktop, mobile" },
+      },
+    },
+    "cf-popup": {
+      description: "Popup/Modal container",
+      attributes: {
+        "element-id": { type: "string", description: "Popup id (referenced by cf-button popup and FunnelWind.popups)" },
+        width: { type: "length", default: "750px", description: "Modal width" },
+        overlay: { type: "color", default: "rgba(0,0,0,0.5)", description: "Overlay background color" },
+        rounded: { type: "preset", default: "16px", presets: Object.keys(RADIUS), description: "Border radius for modal" },
+        border: { type: "preset", presets: Object.keys(BORDER_WIDTHS), description: "Border width" },
+        "border-color": { type: "color", default: "#000000", description: "Border color" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Box shadow" },
+        mt: { type: "length", default: "45px", description: "Margin top" },
+        mb: { type: "length", default: "10px", description: "Margin bottom" },
+        px: { type: "length", default: "0", description: "Horizontal padding on overlay wrapper" },
+        trigger: { type: "enum", default: "click", presets: ["click", "exit-intent", "delay", "scroll"], description: "Opens on: click (popup buttons only), exit-intent, delay, scroll" },
+        delay: { type: "number", default: "5", description: "Seconds before opening (trigger=\"delay\")" },
+        "scroll-percent": { type: "number", default: "50", description: "Page scroll depth in % that opens it (trigger=\"scroll\")" },
+        "show-once": { type: "boolean", default: "false", description: "Open automatically only once per browser session (true/false)" },
+      },
+    },
+    "cf-headline": {
+      description: "Primary heading",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (target for scroll-to and show/hide buttons)" },
+        size: { type: "preset", default: "48px", presets: Object.keys(FONT_SIZES), description: "Font size (e.g., \"48px\", \"36px\")" },
+        weight: { type: "preset", default: "bold", presets: Object.keys(FONT_WEIGHTS), description: "Font weight: thin, light, normal, medium, semibold, bold, extrabold, black" },
+        font: { type: "string", description: "Font family (e.g., \"Roboto\")" },
+        color: { type: "color", description: "Text color" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Text alignment: left, center, right" },
+        leading: { type: "preset", default: "tight", presets: Object.keys(LINE_HEIGHTS), description: "Line height: none, tight, snug, normal, relaxed, loose, or percentage" },
+        tracking: { type: "length", description: "Letter spacing (e.g., \"-0.02em\", \"0.05em\")" },
+        transform: { type: "enum", presets: ["uppercase", "lowercase", "capitalize"], description: "Text transform: uppercase, lowercase, capitalize" },
+        pt: { type: "length", default: "0", description: "Wrapper padding top" },
+        pb: { type: "length", default: "0", description: "Wrapper padding bottom" },
+        mt: { type: "length", default: "0", description: "Wrapper margin top" },
+        tag: { type: "enum", default: "h1", presets: ["h1", "h2", "h3", "h4", "h5", "h6", "span", "p"], description: "HTML tag: h1-h6, span, p" },
+        icon: { type: "icon", description: "FontAwesome icon (e.g., \"fas fa-star\") - OLD format only" },
+        "icon-align": { type: "enum", default: "left", presets: ["left", "right"], description: "Icon position: left, right" },
+        ...ANIMATION_SCHEMA,
+      },
+    },
+    "cf-subheadline": {
+      description: "Secondary heading",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (target for scroll-to and show/hide buttons)" },
+        size: { type: "preset", default: "24px", presets: Object.keys(FONT_SIZES), description: "Font size (e.g., \"48px\", \"36px\")" },
+        weight: { type: "preset", default: "normal", presets: Object.keys(FONT_WEIGHTS), description: "Font weight: thin, light, normal, medium, semibold, bold, extrabold, black" },
+        font: { type: "string", description: "Font family (e.g., \"Roboto\")" },
+        color: { type: "color", description: "Text color" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Text alignment: left, center, right" },
+        leading: { type: "preset", default: "relaxed", presets: Object.keys(LINE_HEIGHTS), description: "Line height: none, tight, snug, normal, relaxed, loose, or percentage" },
+        tracking: { type: "length", description: "Letter spacing (e.g., \"-0.02em\", \"0.05em\")" },
+        transform: { type: "enum", presets: ["uppercase", "lowercase", "capitalize"], description: "Text transform: uppercase, lowercase, capitalize" },
+        pt: { type: "length", default: "0", description: "Wrapper padding top" },
+        pb: { type: "length", default: "0", description: "Wrapper padding bottom" },
+        mt: { type: "length", default: "0", description: "Wrapper margin top" },
+        tag: { type: "enum", default: "h2", presets: ["h1", "h2", "h3", "h4", "h5", "h6", "span", "p"], description: "HTML tag: h1-h6, span, p" },
+        icon: { type: "icon", description: "FontAwesome icon (e.g., \"fas fa-star\") - OLD format only" },
+        "icon-align": { type: "enum", default: "left", presets: ["left", "right"], description: "Icon position: left, right" },
+        ...ANIMATION_SCHEMA,
+      },
+    },
+    "cf-paragraph": {
+      description: "Body text",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (target for scroll-to and show/hide buttons)" },
+        size: { type: "preset", default: "16px", presets: Object.keys(FONT_SIZES), description: "Font size (e.g., \"48px\", \"36px\")" },
+        weight: { type: "preset", default: "normal", presets: Object.keys(FONT_WEIGHTS), description: "Font weight: thin, light, normal, medium, semibold, bold, extrabold, black" },
+        font: { type: "string", description: "Font family (e.g., \"Roboto\")" },
+        color: { type: "color", description: "Text color" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Text alignment: left, center, right" },
+        leading: { type: "preset", default: "relaxed", presets: Object.keys(LINE_HEIGHTS), description: "Line height: none, tight, snug, normal, relaxed, loose, or percentage" },
+        tracking: { type: "length", description: "Letter spacing (e.g., \"-0.02em\", \"0.05em\")" },
+        transform: { type: "enum", presets: ["uppercase", "lowercase", "capitalize"], description: "Text transform: uppercase, lowercase, capitalize" },
+        pt: { type: "length", default: "0", description: "Wrapper padding top" },
+        pb: { type: "length", default: "0", description: "Wrapper padding bottom" },
+        px: { type: "length", description: "Padding horizontal (left & right)" },
+        mt: { type: "length", default: "0", description: "Wrapper margin top" },
+        bg: { type: "color", description: "Background color" },
+        icon: { type: "icon", description: "FontAwesome icon (e.g., \"fas fa-star\") - OLD format only" },
+        "icon-align": { type: "enum", default: "left", presets: ["left", "right"], description: "Icon position: left, right" },
+        ...ANIMATION_SCHEMA,
+      },
+    },
+    "cf-button": {
+      description: "CTA Button",
+      attributes: {
+        action: { type: "enum", default: "link", presets: ["link", "submit", "popup", "scroll", "show-hide", "next-step", "oto", "one-click-upsell"], description: "Click action: link, submit, popup, scroll, show-hide, next-step, oto, one-click-upsell" },
+        target: { type: "enum", default: "_self", presets: ["_self", "_blank"], description: "Link target: _self, _blank" },
+        href: { type: "url", default: "#", description: "Link URL" },
+        popup: { type: "string", description: "element-id of the popup to open (action=\"popup\"; default: the page's first popup)" },
+        endpoint: { type: "url", description: "URL the form fields are POSTed to as JSON (action=\"submit\")" },
+        "scroll-target": { type: "string", description: "element-id to scroll to (action=\"scroll\")" },
+        "show-ids": { type: "string", description: "Comma-separated element-ids to show (action=\"show-hide\")" },
+        "hide-ids": { type: "string", description: "Comma-separated element-ids to hide (action=\"show-hide\")" },
+        style: { type: "enum", presets: STYLEGUIDE_REFS, description: "Styleguide button style: style1, style2, style3" },
+        bg: { type: "color", default: "#3b82f6", description: "Background color (ignored if style is set)" },
+        color: { type: "color", default: "#ffffff", description: "Text color (ignored if style is set)" },
+        size: { type: "preset", default: "20px", presets: Object.keys(FONT_SIZES), description: "Font size" },
+        weight: { type: "preset", default: "bold", presets: Object.keys(FONT_WEIGHTS), description: "Font weight" },
+        px: { type: "length", default: "32px", description: "Horizontal padding" },
+        py: { type: "length", default: "16px", description: "Vertical padding" },
+        pt: { type: "length", default: "0", description: "Wrapper padding top" },
+        pb: { type: "length", description: "Wrapper padding bottom" },
+        mt: { type: "length", default: "0", description: "Wrapper margin top" },
+        rounded: { type: "preset", default: "default", presets: Object.keys(RADIUS), description: "Border radius (ignored if style is set)" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Box shadow (ignored if style is set)" },
+        "border-color": { type: "color", description: "Border color" },
+        "border-width": { type: "length", default: "0", description: "Border width" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Button alignment: left, center, right" },
+        "full-width": { type: "boolean", description: "Full width button (true/false)" },
+        subtext: { type: "string", description: "Optional subtext below main text" },
+        "subtext-color": { type: "color", default: "rgba(255,255,255,0.8)", description: "Subtext color" },
+        icon: { type: "icon", description: "FontAwesome icon (e.g., \"fas fa-arrow-right\")" },
+        "icon-position": { type: "enum", default: "left", presets: ["left", "right"], description: "Icon position: left, right" },
+        "icon-color": { type: "color", description: "Icon color" },
+        ...ANIMATION_SCHEMA,
+      },
+    },
+    "cf-image": {
+      description: "Image element",
+      attributes: {
+        src: { type: "url", default: "", description: "Image URL (required)" },
+        alt: { type: "string", default: "", description: "Alt text" },
+        width: { type: "length", default: "100%", description: "Width (e.g., \"400px\", \"100%\")" },
+        height: { type: "length", description: "Height" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+        rounded: { type: "preset", presets: Object.keys(RADIUS), description: "Border radius" },
+        corner: { type: "enum", presets: STYLEGUIDE_REFS, description: "Styleguide corner ref (style1-3)" },
+        shadow: { type: "preset", presets: [...Object.keys(SHADOWS), ...STYLEGUIDE_REFS], description: "Box shadow or styleguide ref (style1-3)" },
+        border: { type: "preset", presets: [...Object.keys(BORDER_WIDTHS), ...STYLEGUIDE_REFS], description: "Border width or styleguide ref (style1-3)" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        "border-color": { type: "color", description: "Border color" },
+        "object-fit": { type: "enum", presets: ["cover", "contain", "fill"], description: "Object fit: cover, contain, fill" },
+        pt: { type: "length", default: "0", description: "Wrapper padding top" },
+        pb: { type: "length", default: "0", description: "Wrapper padding bottom" },
+        mt: { type: "length", default: "0", description: "Wrapper margin top" },
+        "brand-asset": { type: "enum", presets: ["logo", "background", "pattern", "icon", "product_image"], description: "Brand asset type to use: logo, background, pattern, icon, product_image When set, the src will be replaced with the active brand asset URL if available" },
+        ...ANIMATION_SCHEMA,
+      },
+    },
+    "cf-icon": {
+      description: "FontAwesome icon",
+      attributes: {
+        icon: { type: "icon", default: "fas fa-star", description: "FontAwesome classes (e.g., \"fas fa-rocket\")" },
+        size: { type: "length", default: "48px", description: "Font size" },
+        color: { type: "color", description: "Icon color" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+        opacity: { type: "number", description: "Opacity value 0-1 (e.g., \"0.5\", \"0.8\")" },
+        pt: { type: "length", default: "12px", description: "Padding top" },
+        pb: { type: "length", default: "12px", description: "Padding bottom" },
+        mt: { type: "length", default: "0", description: "Margin top" },
+        ...ANIMATION_SCHEMA,
+      },
+    },
+    "cf-video": {
+      description: "Video embed (YouTube, Vimeo, Wistia or MP4)",
+      attributes: {
+        url: { type: "url", default: "", description: "YouTube, Vimeo, Wistia or MP4 URL" },
+        autoplay: { type: "boolean", default: "false", description: "Start playing on load (browsers only allow this muted)" },
+        muted: { type: "boolean", default: "false", description: "Start muted" },
+        controls: { type: "boolean", default: "true", description: "Show player controls" },
+        loop: { type: "boolean", default: "false", description: "Play again from the start when it ends" },
+        start: { type: "string", description: "Start time: seconds or m:ss" },
+        end: { type: "string", description: "End time: seconds or m:ss (YouTube and MP4 only)" },
+        "aspect-ratio": { type: "preset", default: "16/9", presets: ["16/9", "4/3", "1/1", "9/16", "21/9"], description: "Player aspect ratio (width/height)" },
+        rounded: { type: "preset", default: "lg", presets: Object.keys(RADIUS), description: "Border radius" },
+        corner: { type: "enum", presets: STYLEGUIDE_REFS, description: "Styleguide corner ref (style1-3)" },
+        shadow: { type: "preset", default: "lg", presets: [...Object.keys(SHADOWS), ...STYLEGUIDE_REFS], description: "Box shadow or styleguide ref (style1-3)" },
+        border: { type: "preset", presets: [...Object.keys(BORDER_WIDTHS), ...STYLEGUIDE_REFS], description: "Border width or styleguide ref (style1-3)" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        "border-color": { type: "color", description: "Border color" },
+        bg: { type: "color", default: "#000", description: "Background color (before video loads)" },
+        pt: { type: "length", default: "0", description: "Padding top" },
+        pb: { type: "length", default: "0", description: "Padding bottom" },
+        px: { type: "length", description: "Padding horizontal (left + right)" },
+        mt: { type: "length", default: "0", description: "Margin top" },
+      },
+    },
+    "cf-divider": {
+      description: "Horizontal line separator",
+      attributes: {
+        color: { type: "color", default: "#e2e8f0", description: "Line color" },
+        width: { type: "length", default: "100%", description: "Width (e.g., \"100%\", \"200px\", \"50%\")" },
+        thickness: { type: "length", default: "1px", description: "Border thickness (e.g., \"1px\", \"3px\")" },
+        style: { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style: solid, dashed, dotted" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Box shadow preset or custom" },
+        pt: { type: "length", default: "16px", description: "Padding top" },
+        pb: { type: "length", default: "16px", description: "Padding bottom" },
+        px: { type: "length", description: "Padding horizontal" },
+        mt: { type: "length", description: "Margin top" },
+      },
+    },
+    "cf-input": {
+      description: "Text input field",
+      attributes: {
+        type: { type: "enum", default: "email", presets: Object.keys(INPUT_TYPES), description: "Contact field: email, name or full_name (full name), first_name, last_name, phone_number, address, city, state, zip, country, shipping_address, shipping_city, shipping_state, shipping_zip, shipping_country, password, custom_type" },
+        name: { type: "string", description: "Custom field name (required when type=\"custom_type\")" },
+        placeholder: { type: "string", description: "Placeholder text (default: the type's placeholder, e.g. \"Email Address\"; \"\" for none)" },
+        required: { type: "boolean", description: "Required field (true/false)" },
+        bg: { type: "color", default: "#ffffff", description: "Background color" },
+        color: { type: "color", description: "Text color" },
+        "font-size": { type: "length", default: "16px", description: "Font size" },
+        "border-color": { type: "color", default: "#d1d5db", description: "Border color" },
+        rounded: { type: "preset", default: "lg", presets: Object.keys(RADIUS), description: "Border radius" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Box shadow" },
+        border: { type: "number", default: "1", description: "Border width" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        px: { type: "length", default: "16px", description: "Horizontal padding" },
+        py: { type: "length", default: "12px", description: "Vertical padding" },
+        width: { type: "length", description: "Width percentage" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+        pt: { type: "length", description: "Wrapper padding top" },
+        mt: { type: "length", description: "Wrapper margin top" },
+      },
+    },
+    "cf-textarea": {
+      description: "Multi-line text input",
+      attributes: {
+        name: { type: "string", default: "message", description: "Field name" },
+        placeholder: { type: "string", default: "", description: "Placeholder text" },
+        required: { type: "boolean", description: "Required field" },
+        bg: { type: "color", default: "#ffffff", description: "Background color" },
+        color: { type: "color", description: "Text color" },
+        "font-size": { type: "length", default: "16px", description: "Font size" },
+        "border-color": { type: "color", default: "#d1d5db", description: "Border color" },
+        rounded: { type: "preset", default: "lg", presets: Object.keys(RADIUS), description: "Border radius" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Box shadow" },
+        border: { type: "number", default: "1", description: "Border width" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        px: { type: "length", default: "16px", description: "Horizontal padding" },
+        py: { type: "length", default: "12px", description: "Vertical padding" },
+        width: { type: "length", description: "Width percentage" },
+        height: { type: "length", default: "120px", description: "Height (e.g., \"150px\")" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment" },
+        pt: { type: "length", description: "Wrapper padding top" },
+        mt: { type: "length", description: "Wrapper margin top" },
+      },
+    },
+    "cf-select": {
+      description: "Dropdown select",
+      attributes: {
+        type: { type: "string", default: "custom_type", description: "Field type" },
+        name: { type: "string", default: "option", description: "Field name" },
+        options: { type: "string", description: "Options as a JSON array or a \"label|value\" list (instead of <cf-option> children)" },
+        value: { type: "string", description: "Value of the pre-selected option" },
+        placeholder: { type: "string", default: "Select an option...", description: "Placeholder text" },
+        required: { type: "boolean", description: "Required field" },
+        bg: { type: "color", default: "#ffffff", description: "Background color" },
+        color: { type: "color", description: "Text color" },
+        "font-size": { type: "length", default: "16px", description: "Font size" },
+        "border-color": { type: "color", default: "#d1d5db", description: "Border color" },
+        rounded: { type: "preset", default: "lg", presets: Object.keys(RADIUS), description: "Border radius" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Box shadow" },
+        border: { type: "number", default: "1", description: "Border width" },
+        "border-style": { type: "enum", default: "solid", presets: ["solid", "dashed", "dotted"], description: "Border style" },
+        px: { type: "length", default: "16px", description: "Horizontal padding" },
+        py: { type: "length", default: "12px", description: "Vertical padding" },
+        width: { type: "length", description: "Width percentage" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment" },
+        pt: { type: "length", description: "Wrapper padding top" },
+        mt: { type: "length", default: "0", description: "Wrapper margin top" },
+      },
+    },
+    "cf-checkbox": {
+      description: "Checkbox with label",
+      attributes: {
+        name: { type: "string", default: "agree", description: "Field name" },
+        checked: { type: "boolean", description: "Pre-checked (true/false)" },
+        required: { type: "boolean", description: "Required field" },
+        "label-color": { type: "color", default: "#334155", description: "Label text color" },
+        "label-size": { type: "length", default: "16px", description: "Label font size" },
+        "box-size": { type: "length", default: "20px", description: "Checkbox box size" },
+        "box-bg": { type: "color", default: "#ffffff", description: "Box background color" },
+        "box-border-color": { type: "color", default: "#d1d5db", description: "Box border color" },
+        "check-color": { type: "color", default: "#ffffff", description: "Check mark color" },
+        "checked-bg": { type: "color", default: "#3b82f6", description: "Box background and border color when checked" },
+        gap: { type: "length", default: "12px", description: "Gap between box and label" },
+        mt: { type: "length", description: "Margin top" },
+      },
+    },
+    "cf-radio-group": {
+      description: "Group of radio buttons with labels",
+      attributes: {
+        name: { type: "string", description: "Field name (default: choice-1, choice-2, ... so unnamed groups stay separate)" },
+        options: { type: "string", description: "Options as a JSON array or a \"label|value\" list (instead of <cf-option> children)" },
+        value: { type: "string", description: "Value of the pre-selected option" },
+        required: { type: "boolean", description: "Required field" },
+        direction: { type: "enum", default: "vertical", presets: ["vertical", "horizontal"], description: "Stack options vertically or in a row" },
+        "label-color": { type: "color", default: "#334155", description: "Label text color" },
+        "label-size": { type: "length", default: "16px", description: "Label font size" },
+        "box-size": { type: "length", default: "20px", description: "Radio circle size" },
+        "box-bg": { type: "color", default: "#ffffff", description: "Circle background color" },
+        "box-border-color": { type: "color", default: "#d1d5db", description: "Circle border color" },
+        "check-color": { type: "color", default: "#ffffff", description: "Dot color" },
+        "checked-bg": { type: "color", default: "#3b82f6", description: "Circle background and border color when selected" },
+        gap: { type: "length", default: "12px", description: "Gap between circle and label" },
+        "option-gap": { type: "length", default: "12px", description: "Gap between options" },
+        mt: { type: "length", description: "Margin top" },
+      },
+    },
+    "cf-option": {
+      description: "Option of a cf-select or cf-radio-group (content: label)",
+      attributes: {
+        value: { type: "string", description: "Submitted value (default: the label)" },
+        selected: { type: "boolean", description: "Pre-selected option" },
+      },
+    },
+    "cf-bullet-list": {
+      description: "List with icons",
+      attributes: {
+        icon: { type: "icon", default: "fas fa-check", description: "FontAwesome icon (OLD format: \"fas fa-check\")" },
+        "icon-color": { type: "color", description: "Icon color" },
+        "text-color": { type: "color", description: "Text color" },
+        "icon-size": { type: "length", default: "16px", description: "Icon size" },
+        size: { type: "preset", default: "m", presets: Object.keys(FONT_SIZES), description: "Text size preset (s, m, l, xl) - uses paragraph typescale" },
+        gap: { type: "length", default: "12px", description: "Gap between icon and text" },
+        "item-gap": { type: "length", default: "8px", description: "Gap between list items" },
+        align: { type: "enum", default: "left", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+        pt: { type: "length", default: "0", description: "Padding top" },
+        pb: { type: "length", default: "0", description: "Padding bottom" },
+        mt: { type: "length", default: "0", description: "Margin top" },
+      },
+    },
+    "cf-progress-bar": {
+      description: "Progress bar with optional label",
+      attributes: {
+        progress: { type: "number", default: "50", description: "Progress percentage 0-100" },
+        text: { type: "string", default: "", description: "Label text" },
+        "text-outside": { type: "boolean", default: "false", description: "Show text outside bar" },
+        width: { type: "length", default: "100%", description: "Bar width" },
+        height: { type: "length", default: "24px", description: "Bar height" },
+        bg: { type: "color", default: "#e2e8f0", description: "Background/track color" },
+        fill: { type: "color", default: "#3b82f6", description: "Fill/progress color" },
+        "text-color": { type: "color", description: "Label text color (default: #334155 outside the bar, #ffffff inside)" },
+        rounded: { type: "preset", default: "full", presets: Object.keys(RADIUS), description: "Border radius" },
+        shadow: { type: "preset", presets: Object.keys(SHADOWS), description: "Box shadow" },
+        border: { type: "preset", presets: Object.keys(BORDER_WIDTHS), description: "Border width" },
+        "border-color": { type: "color", default: "#000000", description: "Border color" },
+        pt: { type: "length", default: "0", description: "Padding top" },
+        pb: { type: "length", default: "0", description: "Padding bottom" },
+        mt: { type: "length", default: "0", description: "Margin top" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+      },
+    },
+    "cf-video-popup": {
+      description: "Clickable thumbnail that opens video in modal",
+      attributes: {
+        url: { type: "url", default: "", description: "YouTube, Vimeo, Wistia or MP4 URL (required)" },
+        thumbnail: { type: "url", default: "", description: "Custom thumbnail URL (generated for YouTube, looked up for Vimeo/Wistia; set it for MP4)" },
+        alt: { type: "string", default: "Video thumbnail", description: "Alt text for thumbnail" },
+        width: { type: "length", default: "100%", description: "Thumbnail width" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+        rounded: { type: "preset", default: "lg", presets: Object.keys(RADIUS), description: "Border radius" },
+        shadow: { type: "preset", default: "lg", presets: Object.keys(SHADOWS), description: "Box shadow" },
+        border: { type: "preset", presets: Object.keys(BORDER_WIDTHS), description: "Border width" },
+        "border-color": { type: "color", default: "#000000", description: "Border color" },
+        "overlay-bg": { type: "color", default: "rgba(0,0,0,0.8)", description: "Modal overlay background" },
+        "play-icon": { type: "boolean", default: "true", description: "Show play icon overlay" },
+        "play-icon-size": { type: "length", default: "64px", description: "Play icon size" },
+        "play-icon-color": { type: "color", default: "#ffffff", description: "Play icon color" },
+        pt: { type: "length", default: "0", description: "Padding top" },
+        pb: { type: "length", default: "0", description: "Padding bottom" },
+        mt: { type: "length", default: "0", description: "Margin top" },
+      },
+    },
+    "cf-countdown": {
+      description: "Countdown timer to a specific date/time",
+      attributes: {
+        "element-id": { type: "string", description: "Element id (also keys the evergreen start time)" },
+        mode: { type: "enum", default: "date", presets: ["date", "evergreen", "daily"], description: "date: count to end-date/end-time; evergreen: duration from the visitor's first visit; daily: to end-time every day" },
+        "end-date": { type: "date", default: "", description: "Target date (YYYY-MM-DD format, required in date mode)" },
+        "end-time": { type: "time", default: "00:00:00", description: "Target time (HH:MM:SS format, default: 00:00:00)" },
+        "duration-days": { type: "number", default: "0", description: "Evergreen duration: days" },
+        "duration-hours": { type: "number", default: "0", description: "Evergreen duration: hours" },
+        "duration-minutes": { type: "number", default: "0", description: "Evergreen duration: minutes" },
+        "duration-seconds": { type: "number", default: "0", description: "Evergreen duration: seconds" },
+        timezone: { type: "string", default: "America/New_York", description: "IANA timezone of end-date/end-time" },
+        "show-days": { type: "boolean", default: "true", description: "Show days" },
+        "show-hours": { type: "boolean", default: "true", description: "Show hours" },
+        "show-minutes": { type: "boolean", default: "true", description: "Show minutes" },
+        "show-seconds": { type: "boolean", default: "true", description: "Show seconds" },
+        redirect: { type: "url", default: "", description: "URL to redirect when countdown ends" },
+        "hide-ids": { type: "string", description: "Comma-separated element-ids to hide when countdown ends" },
+        "show-ids": { type: "string", description: "Comma-separated element-ids to show when countdown ends (hidden until then)" },
+        "open-popup": { type: "string", description: "Popup to open when countdown ends: a popup element-id, or true for the default popup" },
+        "on-expire": { type: "actions", presets: EXPIRY_ACTIONS, description: "Expiry actions in one attribute: \"action: value\" pairs separated by semicolons, e.g. \"hide-ids: buy; open-popup\"" },
+        "number-bg": { type: "color", default: "#1C65E1", description: "Background color for number boxes" },
+        "number-color": { type: "color", default: "#ffffff", description: "Number text color" },
+        "label-color": { type: "color", default: "#164EAD", description: "Label text color" },
+        "number-size": { type: "length", default: "28px", description: "Number font size" },
+        "label-size": { type: "length", default: "11px", description: "Label font size" },
+        rounded: { type: "preset", default: "lg", presets: Object.keys(RADIUS), description: "Border radius for number boxes" },
+        gap: { type: "length", default: "0.65em", description: "Gap between countdown units" },
+        align: { type: "enum", default: "center", presets: ["left", "center", "right"], description: "Alignment: left, center, right" },
+        pt: { type: "length", default: "0", description: "Padding top" },
+        pb: { type: "length", default: "0", description: "Padding bottom" },
+        mt: { type: "length", default: "0", description: "Margin top" },
+      },
+    },
+    "cf-checkout-placeholder": {
+      description: "Placeholder for ClickFunnels checkout form",
+      attributes: {
+        width: { type: "length", default: "100%", description: "Width" },
+        "min-height": { type: "length", default: "400px", description: "Minimum height" },
+        mt: { type: "length", description: "Margin top" },
+      },
+    },
+    "cf-order-summary-placeholder": {
+      description: "Placeholder for order summary display",
+      attributes: {
+        width: { type: "length", default: "100%", description: "Width" },
+        "min-height": { type: "length", default: "200px", description: "Minimum height" },
+        mt: { type: "length", description: "Margin top" },
+      },
+    },
+    "cf-confirmation-placeholder": {
+      description: "Placeholder for order confirmation/receipt",
+      attributes: {
+        width: { type: "length", default: "100%", description: "Width" },
+        "min-height": { type: "length", default: "300px", description: "Minimum height" },
+        mt: { type: "length", description: "Margin top" },
+      },
+    },
+  };
+
+  /**
+   * Schema default for an attribute of a rendered host (cf-* element or stand-in)
+   */
+  function schemaDefault(el, name) {
+    const schema = ELEMENT_SCHEMA[String(el.tagName).toLowerCase()];
+    const spec = schema && schema.attributes[name];
+    return spec && spec.default !== undefined ? spec.default : null;
+  }
+
+  /**
+   * Get the attribute schema of every component, or of one tag
+   * @param {string} tag - Optional tag name, e.g. "cf-headline"
+   * @returns {Object} - Copy of { tag: { description, attributes } } or a single entry
+   */
+  function getSchema(tag) {
+    const schema = tag ? ELEMENT_SCHEMA[tag] || null : ELEMENT_SCHEMA;
+    return schema && JSON.parse(JSON.stringify(schema));
+  }
+
   // ==========================================================================
   // STYLEGUIDE MANAGER
   // ==========================================================================
@@ -409,8 +1072,9 @@
     /**
      * Apply font and color data attributes to elements for pagetree parsing.
      * This allows the parser to capture styleguide fonts and paint theme colors.
+     * @param {Document|Element} root - Only update this subtree (default: document)
      */
-    applyFontDataAttributes() {
+    applyFontDataAttributes(root = document) {
       if (!this.data) return;
 
       const { typography, paintThemes } = this.data;
@@ -421,21 +1085,21 @@
 
         // Apply headline font to headlines without explicit font
         if (headlineFont) {
-          document.querySelectorAll('[data-type="Headline/V1"]:not([data-font])').forEach(el => {
+          queryAll(root, '[data-type="Headline/V1"]:not([data-font])').forEach(el => {
             el.setAttribute('data-font', headlineFont);
           });
         }
 
         // Apply subheadline font to subheadlines without explicit font
         if (subheadlineFont) {
-          document.querySelectorAll('[data-type="SubHeadline/V1"]:not([data-font])').forEach(el => {
+          queryAll(root, '[data-type="SubHeadline/V1"]:not([data-font])').forEach(el => {
             el.setAttribute('data-font', subheadlineFont);
           });
         }
 
         // Apply content font to paragraphs without explicit font
         if (contentFont) {
-          document.querySelectorAll('[data-type="Paragraph/V1"]:not([data-font])').forEach(el => {
+          queryAll(root, '[data-type="Paragraph/V1"]:not([data-font])').forEach(el => {
             el.setAttribute('data-font', contentFont);
           });
         }
@@ -454,8 +1118,14 @@
       // Only apply to elements whose closest paint ancestor is this container
       if (paintThemes?.length) {
         paintThemes.forEach(theme => {
-          const containers = document.querySelectorAll(`[data-paint-colors="${theme.id}"]`);
+          const selector = `[data-paint-colors="${theme.id}"]`;
+          const containers = queryAll(root, selector);
+          // A subtree inside a paint container takes that container's colors too
+          const outer = root.closest ? root.closest(selector) : null;
+          if (outer && !containers.includes(outer)) containers.push(outer);
+
           containers.forEach(container => {
+            const scope = container.contains(root) ? root : container;
             const headlineColor = this.getColorHex(theme.headlineColorId);
             const subheadlineColor = this.getColorHex(theme.subheadlineColorId);
             const contentColor = this.getColorHex(theme.contentColorId);
@@ -463,7 +1133,7 @@
             const linkColor = theme.linkColorId ? this.getColorHex(theme.linkColorId) : null;
 
             // Apply headline color (only to direct paint descendants)
-            container.querySelectorAll('[data-type="Headline/V1"]').forEach(el => {
+            queryAll(scope, '[data-type="Headline/V1"]').forEach(el => {
               if (isDirectPaintDescendant(el, container)) {
                 if (!el.hasAttribute('data-color-explicit')) {
                   el.setAttribute('data-color', headlineColor);
@@ -473,7 +1143,7 @@
             });
 
             // Apply subheadline color (only to direct paint descendants)
-            container.querySelectorAll('[data-type="SubHeadline/V1"]').forEach(el => {
+            queryAll(scope, '[data-type="SubHeadline/V1"]').forEach(el => {
               if (isDirectPaintDescendant(el, container)) {
                 if (!el.hasAttribute('data-color-explicit')) {
                   el.setAttribute('data-color', subheadlineColor);
@@ -483,7 +1153,7 @@
             });
 
             // Apply content/paragraph color (only to direct paint descendants)
-            container.querySelectorAll('[data-type="Paragraph/V1"]').forEach(el => {
+            queryAll(scope, '[data-type="Paragraph/V1"]').forEach(el => {
               if (isDirectPaintDescendant(el, container)) {
                 if (!el.hasAttribute('data-color-explicit')) {
                   el.setAttribute('data-color', contentColor);
@@ -493,7 +1163,7 @@
             });
 
             // Apply icon color (only to direct paint descendants)
-            container.querySelectorAll('[data-type="Icon/V1"]').forEach(el => {
+            queryAll(scope, '[data-type="Icon/V1"]').forEach(el => {
               if (isDirectPaintDescendant(el, container)) {
                 if (!el.hasAttribute('data-color-explicit')) {
                   el.setAttribute('data-color', iconColor);
@@ -502,7 +1172,7 @@
             });
 
             // Apply text color to bullet lists (only to direct paint descendants)
-            container.querySelectorAll('[data-type="BulletList/V1"]').forEach(el => {
+            queryAll(scope, '[data-type="BulletList/V1"]').forEach(el => {
               if (isDirectPaintDescendant(el, container)) {
                 if (!el.hasAttribute('data-text-color-explicit')) {
                   el.setAttribute('data-text-color', contentColor);
@@ -947,11 +1617,12 @@
   // ==========================================================================
 
   /**
-   * Get attribute with fallback
+   * Get attribute with fallback (default: the attribute's schema default)
    */
-  function attr(el, name, fallback = null) {
+  function attr(el, name, fallback) {
     const val = el.getAttribute(name);
-    return val !== null ? val : fallback;
+    if (val !== null) return val;
+    return fallback !== undefined ? fallback : schemaDefault(el, name);
   }
 
   /**
@@ -979,18 +1650,246 @@
     return el.innerHTML;
   }
 
+  /**
+   * Parse an options attribute: a JSON array of strings or
+   * { label, value, selected } objects, or a "label|value" list separated
+   * by newlines (or commas when on one line). The value defaults to the label.
+   * @param {string} value
+   * @returns {Object[]} - [{ label, value, selected }]
+   */
+  function parseOptionsAttribute(value) {
+    const source = String(value || "").trim();
+    if (!source) return [];
+
+    if (source[0] === "[") {
+      try {
+        return JSON.parse(source).map((option) => {
+          if (option === null || typeof option !== "object") {
+            return { label: String(option), value: String(option), selected: false };
+          }
+          const label = String(option.label !== undefined ? option.label : option.value);
+          return {
+            label,
+            value: option.value !== undefined ? String(option.value) : label,
+            selected: option.selected === true || option.selected === "true",
+          };
+        });
+      } catch (e) {
+        console.warn(`FunnelWind: options is not valid JSON: ${source}`);
+        return [];
+      }
+    }
+
+    return source
+      .split(source.includes("\n") ? "\n" : ",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const [label, optionValue] = item.split("|").map((part) => part.trim());
+        return { label, value: optionValue !== undefined ? optionValue : label, selected: false };
+      });
+  }
+
+  /**
+   * Parse a countdown's on-expire attribute: "action: value" pairs separated
+   * by semicolons, e.g. "hide-ids: buy, price; show-ids: sold-out; open-popup".
+   * open-popup without a value opens the default popup.
+   * @param {string} value
+   * @returns {Object[]} - [{ action, value }] in source order
+   */
+  function parseExpiryActions(value) {
+    return String(value || "")
+      .split(";")
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        // Split on the first colon only; redirect URLs have their own
+        const colon = item.indexOf(":");
+        const action = (colon === -1 ? item : item.slice(0, colon)).trim().toLowerCase();
+        const target = colon === -1 ? "" : item.slice(colon + 1).trim();
+        return { action, value: target || (action === "open-popup" ? "true" : "") };
+      });
+  }
+
+  /**
+   * Options of a cf-select or cf-radio-group: the options attribute when set,
+   * otherwise its <cf-option> (or plain <option>) children
+   * @param {Element} el
+   * @returns {Object[]} - [{ label, value, selected }]
+   */
+  function elementOptions(el) {
+    if (el.getAttribute("options")) return parseOptionsAttribute(el.getAttribute("options"));
+
+    return Array.from(el.children || [])
+      .filter((child) => ["cf-option", "option"].includes(child.tagName.toLowerCase()))
+      .map((child) => {
+        const label = child.textContent.trim();
+        const value = child.getAttribute("value");
+        const selected = child.getAttribute("selected");
+        return {
+          label,
+          value: value !== null ? value : label,
+          selected: selected !== null && selected !== "false",
+        };
+      });
+  }
+
+  /**
+   * querySelectorAll that also matches the root element itself
+   * @param {Document|Element} root
+   * @param {string} selector
+   * @returns {Element[]}
+   */
+  function queryAll(root, selector) {
+    const found = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) found.unshift(root);
+    return found;
+  }
+
   function getBgStyleClass(bgStyle) {
     if (!bgStyle) return "bgCoverCenter";
     return BG_STYLE_CLASSES[bgStyle] || bgStyle;
   }
 
   /**
-   * Helper to extract YouTube video ID from URL
+   * Video hosts, written as data-video-type / data-video-bg-type.
+   *   pattern   - Matches a video URL; group 1 is the video id
+   *   embedUrl  - Player URL for an iframe (none: played by <video>)
+   *   params    - Player options => query parameters
+   *   hash      - Player options => URL fragment, for hosts that read it there
+   *   thumbnail - Thumbnail URL derived from the id
+   *   oembed    - oEmbed endpoint the runtime asks for a thumbnail instead
+   */
+  const VIDEO_PROVIDERS = {
+    youtube: {
+      pattern: /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\s?#]+)/,
+      embedUrl: (id) => `https://www.youtube.com/embed/${id}`,
+      params: (id, options) => ({
+        autoplay: options.autoplay ? 1 : null,
+        mute: options.muted ? 1 : null,
+        loop: options.loop ? 1 : null,
+        playlist: options.loop ? id : null,  // YouTube only loops playlists
+        controls: options.controls === false ? 0 : null,
+        start: options.start || null,
+        end: options.end || null,
+        rel: options.autoplay ? 0 : null,
+        playsinline: options.autoplay ? 1 : null,
+        enablejsapi: options.background ? 1 : null,
+      }),
+      thumbnail: (id) => `https://img.youtube.com/vi/${id}/maxresdefault.jpg`,
+    },
+    vimeo: {
+      pattern: /(?:player\.vimeo\.com\/video\/|vimeo\.com\/(?:video\/)?)(\d+)/,
+      embedUrl: (id) => `https://player.vimeo.com/video/${id}`,
+      params: (id, options) => ({
+        autoplay: options.autoplay ? 1 : null,
+        muted: options.muted ? 1 : null,
+        loop: options.loop ? 1 : null,
+        controls: options.controls === false ? 0 : null,
+        background: options.background ? 1 : null,
+        playsinline: options.autoplay ? 1 : null,
+      }),
+      hash: (options) => (options.start ? `t=${options.start}s` : null),
+      oembed: 'https://vimeo.com/api/oembed.json',
+    },
+    wistia: {
+      pattern: /(?:wistia\.(?:com|net)\/(?:medias|embed\/iframe|embed\/medias)\/|wi\.st\/medias\/)([a-z0-9]+)/i,
+      embedUrl: (id) => `https://fast.wistia.net/embed/iframe/${id}`,
+      params: (id, options) => ({
+        autoPlay: options.autoplay ? 'true' : null,
+        muted: options.muted ? 'true' : null,
+        endVideoBehavior: options.loop ? 'loop' : null,
+        controlsVisibleOnLoad: options.controls === false ? 'false' : null,
+        playbar: options.controls === false ? 'false' : null,
+        time: options.start || null,
+      }),
+      oembed: 'https://fast.wistia.com/oembed',
+    },
+    mp4: {
+      pattern: /^([^?#]+\.(?:mp4|m4v|webm|mov))(?:[?#].*)?$/i,
+    },
+  };
+
+  /**
+   * Detect the video host of a URL
+   * @param {string} url
+   * @returns {Object|null} { type, id, url } - type is a VIDEO_PROVIDERS key
    */
-  function extractYouTubeVideoId(url) {
+  function parseVideoUrl(url) {
     if (!url) return null;
-    const match = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\s?]+)/);
-    return match ? match[1] : null;
+    for (const type of Object.keys(VIDEO_PROVIDERS)) {
+      const match = url.match(VIDEO_PROVIDERS[type].pattern);
+      if (match) return { type, id: match[1], url };
+    }
+    return null;
+  }
+
+  /**
+   * Seconds in a time written as seconds, m:ss or h:mm:ss
+   * @returns {number} Whole seconds, or 0 if empty or invalid
+   */
+  function parseVideoTime(value) {
+    if (!value) return 0;
+    const seconds = String(value)
+      .split(":")
+      .reduce((total, part) => total * 60 + Number(part), 0);
+    return isNaN(seconds) ? 0 : Math.floor(seconds);
+  }
+
+  /**
+   * Player URL of a parsed video: the iframe src, or the file for <video>
+   * @param {Object} video - From parseVideoUrl()
+   * @param {Object} options - autoplay, muted, loop, controls (false hides them),
+   *   start and end (seconds), background
+   */
+  function videoEmbedUrl(video, options = {}) {
+    const provider = VIDEO_PROVIDERS[video.type];
+    if (!provider.embedUrl) {
+      // Media fragment: #t=start[,end]
+      if (!options.start && !options.end) return video.url;
+      return `${video.url}#t=${options.start || 0}${options.end ? `,${options.end}` : ""}`;
+    }
+
+    const query = Object.entries(provider.params(video.id, options))
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join("&");
+    const hash = provider.hash && provider.hash(options);
+    return provider.embedUrl(video.id) + (query ? `?${query}` : "") + (hash ? `#${hash}` : "");
+  }
+
+  /**
+   * Thumbnail URL derived from the video URL, if the host has one
+   */
+  function videoThumbnail(video) {
+    const provider = video && VIDEO_PROVIDERS[video.type];
+    return provider && provider.thumbnail ? provider.thumbnail(video.id) : "";
+  }
+
+  /**
+   * Player markup for a parsed video: an iframe, or <video> for MP4 files
+   * @param {Object} video - From parseVideoUrl()
+   * @param {Object} options - See videoEmbedUrl()
+   * @param {string} style - Inline style for the player element
+   */
+  function videoPlayerHtml(video, options, style) {
+    const src = videoEmbedUrl(video, options);
+    if (!VIDEO_PROVIDERS[video.type].embedUrl) {
+      const flags = [
+        options.controls === false ? "" : "controls",
+        options.autoplay ? "autoplay" : "",
+        options.muted ? "muted" : "",
+        options.loop ? "loop" : "",
+        "playsinline",
+      ].filter(Boolean).join(" ");
+      return `<video src="${src}" ${flags} preload="metadata" style="${style}"></video>`;
+    }
+    return `<iframe
+              src="${src}"
+              style="${style}"
+              allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+              allowfullscreen
+            ></iframe>`;
   }
 
   /**
@@ -1001,25 +1900,333 @@
     const animation = attr(el, 'animation');
     if (!animation) return '';
 
-    const time = attr(el, 'animation-time', '1000');
-    const delay = attr(el, 'animation-delay', '0');
-    const trigger = attr(el, 'animation-trigger', 'load');
-    const timing = attr(el, 'animation-timing', 'ease');
-    const direction = attr(el, 'animation-direction', 'normal');
-    const once = attr(el, 'animation-once', 'true');
-    const loop = attr(el, 'animation-loop', 'false');
+    const time = attr(el, 'animation-time');
+    const delay = attr(el, 'animation-delay');
+    const trigger = attr(el, 'animation-trigger');
+    const timing = attr(el, 'animation-timing');
+    const direction = attr(el, 'animation-direction');
+    const once = attr(el, 'animation-once');
+    const loop = attr(el, 'animation-loop');
 
     return ` data-skip-animation-settings="false" data-animation-type="${animation}" data-animation-time="${time}" data-animation-delay="${delay}" data-animation-trigger="${trigger}" data-animation-timing-function="${timing}" data-animation-direction="${direction}" data-animation-once="${once === 'true'}" data-animation-loop="${loop === 'true'}"`;
   }
 
+  // ==========================================================================
+  // MARKUP PARSER - DOM-free HTML parsing for server-side rendering
+  // ==========================================================================
+
+  // Elements that never have children or a closing tag
+  const VOID_TAGS = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input",
+    "link", "meta", "param", "source", "track", "wbr",
+  ]);
+
+  // Elements whose content is raw text, not markup
+  const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title"]);
+
+  const NAMED_ENTITIES = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    nbsp: "\u00a0",
+  };
+
+  const OPEN_TAG_PATTERN =
+    /<([a-zA-Z][\w:.-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+  const CLOSE_TAG_PATTERN = /<\/([a-zA-Z][\w:.-]*)\s*>/y;
+  const ATTRIBUTE_PATTERN =
+    /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  /**
+   * Decode HTML entities in text or attribute values (matches getAttribute)
+   */
+  function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === "#") {
+        const code =
+          entity[1] === "x" || entity[1] === "X"
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+      return decoded !== undefined ? decoded : match;
+    });
+  }
+
+  /**
+   * Escape a value for use inside a double-quoted attribute
+   */
+  function escapeAttribute(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Text, comment or doctype node - keeps its source text untouched
+   */
+  class MarkupText {
+    constructor(raw, nodeType = 3) {
+      this.nodeType = nodeType;
+      this.raw = raw;
+      this.parentNode = null;
+    }
+
+    get textContent() {
+      return this.nodeType === 3 ? decodeEntities(this.raw) : "";
+    }
+  }
+
+  /**
+   * Minimal element implementing the subset of the DOM API that components
+   * use while rendering: getAttribute, hasAttribute, innerHTML and outerHTML.
+   * Assigning outerHTML stores the replacement markup instead of swapping nodes.
+   */
+  class MarkupElement {
+    constructor(tagName, attributes = {}) {
+      this.nodeType = 1;
+      this.tagName = tagName.toLowerCase();
+      this.attributes = attributes;
+      this.childNodes = [];
+      this.parentNode = null;
+      this._outerHTML = null;
+    }
+
+    // Attribute names keep their source case (e.g. SVG viewBox) but, as in
+    // HTML, are matched case-insensitively
+    attributeKey(name) {
+      const lower = name.toLowerCase();
+      return Object.keys(this.attributes).find(
+        (key) => key.toLowerCase() === lower
+      );
+    }
+
+    getAttribute(name) {
+      const key = this.attributeKey(name);
+      return key !== undefined ? this.attributes[key] : null;
+    }
+
+    hasAttribute(name) {
+      return this.getAttribute(name) !== null;
+    }
+
+    setAttribute(name, value) {
+      this.attributes[this.attributeKey(name) || name] = String(value);
+    }
+
+    removeAttribute(name) {
+      const key = this.attributeKey(name);
+      if (key !== undefined) delete this.attributes[key];
+    }
+
+    appendChild(node) {
+      if (node.parentNode) node.parentNode.removeChild(node);
+      node.parentNode = this;
+      this.childNodes.push(node);
+      return node;
+    }
+
+    insertBefore(node, reference) {
+      if (!reference) return this.appendChild(node);
+      if (node.parentNode) node.parentNode.removeChild(node);
+      node.parentNode = this;
+      this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+      return node;
+    }
+
+    removeChild(node) {
+      this.childNodes = this.childNodes.filter((child) => child !== node);
+      node.parentNode = null;
+      return node;
+    }
+
+    get children() {
+      return this.childNodes.filter((node) => node.nodeType === 1);
+    }
+
+    getElementsByTagName(tagName) {
+      const name = tagName.toLowerCase();
+      const found = [];
+      const walk = (node) => {
+        node.children.forEach((child) => {
+          if (name === "*" || child.tagName === name) found.push(child);
+          walk(child);
+        });
+      };
+      walk(this);
+      return found;
+    }
+
+    get innerHTML() {
+      return serializeMarkup(this.childNodes);
+    }
+
+    set innerHTML(html) {
+      this.childNodes = [];
+      parseMarkup(html).forEach((node) => this.appendChild(node));
+    }
+
+    get outerHTML() {
+      if (this._outerHTML !== null) return this._outerHTML;
+      const attrs = Object.entries(this.attributes)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join("");
+      if (VOID_TAGS.has(this.tagName)) return `<${this.tagName}${attrs}>`;
+      return `<${this.tagName}${attrs}>${this.innerHTML}</${this.tagName}>`;
+    }
+
+    set outerHTML(html) {
+      this._outerHTML = html;
+    }
+
+    get textContent() {
+      return this.childNodes.map((node) => node.textContent).join("");
+    }
+  }
+
+  /**
+   * Parse an HTML fragment into MarkupElement/MarkupText nodes
+   *
+   * Forgiving by design (LLM output): stray closing tags are ignored, unclosed
+   * elements close with their parent, and "/>" self-closes any element.
+   *
+   * @param {string} html - HTML fragment
+   * @returns {Array} - Top-level nodes
+   */
+  function parseMarkup(html) {
+    const source = html === null || html === undefined ? "" : String(html);
+    const root = new MarkupElement("#fragment");
+    let current = root;
+    let index = 0;
+
+    while (index < source.length) {
+      const tagStart = source.indexOf("<", index);
+      if (tagStart === -1) {
+        current.appendChild(new MarkupText(source.slice(index)));
+        break;
+      }
+      if (tagStart > index) {
+        current.appendChild(new MarkupText(source.slice(index, tagStart)));
+      }
+      index = tagStart;
+
+      // Comments, doctypes and processing instructions are kept verbatim
+      if (source.startsWith("<!--", index)) {
+        const end = source.indexOf("-->", index + 4);
+        const stop = end === -1 ? source.length : end + 3;
+        current.appendChild(new MarkupText(source.slice(index, stop), 8));
+        index = stop;
+        continue;
+      }
+      if (source.startsWith("<!", index) || source.startsWith("<?", index)) {
+        const end = source.indexOf(">", index);
+        const stop = end === -1 ? source.length : end + 1;
+        current.appendChild(new MarkupText(source.slice(index, stop), 10));
+        index = stop;
+        continue;
+      }
+
+      CLOSE_TAG_PATTERN.lastIndex = index;
+      const closeMatch = CLOSE_TAG_PATTERN.exec(source);
+      if (closeMatch) {
+        const name = closeMatch[1].toLowerCase();
+        let node = current;
+        while (node !== root && node.tagName !== name) node = node.parentNode;
+        if (node !== root) current = node.parentNode;
+        index += closeMatch[0].length;
+        continue;
+      }
+
+      OPEN_TAG_PATTERN.lastIndex = index;
+      const openMatch = OPEN_TAG_PATTERN.exec(source);
+      if (!openMatch) {
+        // Lone "<" is just text
+        current.appendChild(new MarkupText("<"));
+        index += 1;
+        continue;
+      }
+
+      // First occurrence of a repeated attribute wins, as in browsers
+      const element = current.appendChild(new MarkupElement(openMatch[1]));
+      openMatch[2].replace(ATTRIBUTE_PATTERN, (_, name, dq, sq, bare) => {
+        if (!element.hasAttribute(name)) {
+          const value = dq !== undefined ? dq : sq !== undefined ? sq : bare;
+          element.setAttribute(name, value !== undefined ? decodeEntities(value) : "");
+        }
+        return "";
+      });
+      index += openMatch[0].length;
+
+      if (VOID_TAGS.has(element.tagName) || openMatch[3]) continue;
+
+      if (RAW_TEXT_TAGS.has(element.tagName)) {
+        const closeIndex = source
+          .toLowerCase()
+          .indexOf(`</${element.tagName}`, index);
+        const stop = closeIndex === -1 ? source.length : closeIndex;
+        if (stop > index) {
+          element.appendChild(new MarkupText(source.slice(index, stop)));
+        }
+        const closeEnd = closeIndex === -1 ? -1 : source.indexOf(">", closeIndex);
+        index = closeEnd === -1 ? source.length : closeEnd + 1;
+        continue;
+      }
+
+      current = element;
+    }
+
+    const nodes = root.childNodes;
+    nodes.forEach((node) => {
+      node.parentNode = null;
+    });
+    return nodes;
+  }
+
+  /**
+   * Serialize parsed nodes back to HTML
+   */
+  function serializeMarkup(nodes) {
+    return nodes
+      .map((node) => (node.nodeType === 1 ? node.outerHTML : node.raw))
+      .join("");
+  }
+
   // ==========================================================================
   // BASE COMPONENT CLASS
   // ==========================================================================
 
-  class CFElement extends HTMLElement {
+  // Outside the browser there is no HTMLElement; components are then only
+  // rendered through renderToString(), which never constructs them
+  const BaseElement = typeof HTMLElement !== "undefined" ? HTMLElement : class {};
+
+  // Components whose children are other components. In live mode their
+  // children stay in the DOM; other components re-render from source markup
+  const LIVE_CONTAINER_TAGS = new Set([
+    "cf-page", "cf-section", "cf-row", "cf-col", "cf-col-inner", "cf-flex", "cf-popup",
+  ]);
+
+  /**
+   * Live mode is opted into with a `live` attribute on the element or any
+   * ancestor (usually cf-page), so a live container only holds live children
+   */
+  function isLive(el) {
+    if (el.hasAttribute("live")) return true;
+    return !!(el.parentElement && el.parentElement.closest("[live]"));
+  }
+
+  class CFElement extends BaseElement {
     constructor() {
       super();
       this._rendered = false;
+      this._live = false;
+      this._renderQueued = false;
+    }
+
+    // Live elements re-render when any attribute from their schema changes
+    static get observedAttributes() {
+      const tag = Object.keys(elements).find((name) => elements[name] === this);
+      return ELEMENT_SCHEMA[tag] ? Object.keys(ELEMENT_SCHEMA[tag].attributes) : [];
     }
 
     connectedCallback() {
@@ -1028,14 +2235,92 @@
         requestAnimationFrame(() => {
           // Check if element is still in DOM before rendering
           // (parent may have already replaced itself via outerHTML)
-          if (this.parentNode) {
-            this.render();
-            this._rendered = true;
+          if (this.parentNode && !this._rendered) {
+            this.mount();
           }
         });
       }
     }
 
+    attributeChangedCallback(name, oldValue, newValue) {
+      // Only live elements are still around after the first render
+      if (!this._live || oldValue === newValue || this._renderQueued) return;
+
+      // Batch changes made in the same frame into one render
+      this._renderQueued = true;
+      requestAnimationFrame(() => {
+        this._renderQueued = false;
+        this.renderLive();
+      });
+    }
+
+    /**
+     * Render once: replace the element with its output, or in live mode
+     * keep it as host and render into it
+     */
+    mount() {
+      if (isLive(this)) {
+        this._live = true;
+        this.renderLive();
+      } else {
+        this.render();
+      }
+      this._rendered = true;
+    }
+
+    /**
+     * Render into this element instead of replacing it. render() runs on a
+     * stand-in carrying the current attributes; leaves re-render from their
+     * original content, containers get their (live) children moved into the
+     * output between two comment markers.
+     */
+    renderLive() {
+      const tag = this.tagName.toLowerCase();
+      const isContainer = LIVE_CONTAINER_TAGS.has(tag);
+
+      if (!this._childStart && isContainer) {
+        this._childStart = document.createComment("cf-children");
+        this._childEnd = document.createComment("/cf-children");
+        this.prepend(this._childStart);
+        this.append(this._childEnd);
+      } else if (this._source === undefined && !isContainer) {
+        this._source = this.innerHTML;
+      }
+
+      const host = new MarkupElement(tag);
+      Array.from(this.attributes).forEach(({ name, value }) => {
+        if (name !== "live" && name !== "data-live-host") host.setAttribute(name, value);
+      });
+      host.innerHTML = isContainer ? "<cf-live-slot></cf-live-slot>" : this._source;
+      this.render.call(host);
+
+      const template = document.createElement("template");
+      template.innerHTML = host.outerHTML.trim();
+
+      if (isContainer) {
+        const children = [];
+        for (let node = this._childStart; node; node = node.nextSibling) {
+          children.push(node);
+          if (node === this._childEnd) break;
+        }
+        const slot = template.content.querySelector("cf-live-slot");
+        if (slot) slot.replaceWith(...children);
+        else template.content.append(...children);
+      }
+
+      this.setAttribute("data-live-host", "");
+      // Live children moved into the template are connected again afterwards
+      const previous = Array.from(this.childNodes);
+      this.replaceChildren(template.content);
+
+      // Re-renders swap out elements the runtime was attached to; the first
+      // render is initialized by initFunnelWind()
+      if (this._rendered) {
+        destroyRemoved(previous.filter((node) => !node.isConnected));
+        initRuntime(this);
+      }
+    }
+
     render() {
       // Override in subclasses
     }
@@ -1066,14 +2351,14 @@
    */
   class CFPage extends CFElement {
     render() {
-      const bg = attr(this, "bg", "#ffffff");
+      const bg = attr(this, "bg");
       const bgImage = attr(this, "bg-image");
       const bgStyle = attr(this, "bg-style");
       const gradient = attr(this, "gradient");
       const overlay = attr(this, "overlay");
       // Support both "color" (simple) and "text-color" (explicit) for page text color
-      const textColor = attr(this, "color") || attr(this, "text-color", "#334155");
-      const linkColor = attr(this, "link-color", "#3b82f6");
+      const textColor = attr(this, "color") || attr(this, "text-color");
+      const linkColor = attr(this, "link-color");
       // Support both "font" (simple) and "font-family" (explicit) attributes
       const font = attr(this, "font") || attr(this, "font-family");
       const fontWeight = attr(this, "font-weight");
@@ -1172,24 +2457,25 @@
    *   border-style - Border style (solid, dashed, dotted)
    *   border-color - Border color
    *   show        - Visibility: desktop, mobile
-   *   video-bg    - YouTube URL for video background
+   *   video-bg    - YouTube, Vimeo, Wistia or MP4 URL for video background
    *   video-bg-overlay - Overlay color for video (rgba format, defaults to bg if rgba)
    *   video-bg-hide-mobile - Hide video on mobile (true/false, default true)
    *   video-bg-style - Video style: fill (default), fit
+   *   video-bg-poster - Image shown while the video loads and where it is hidden (defaults to the video thumbnail)
    */
   class CFSection extends CFElement {
     render() {
       const elementId = attr(this, "element-id");
-      const container = attr(this, "container", "full");
+      const container = attr(this, "container");
       const bg = attr(this, "bg");
       let bgImage = attr(this, "bg-image");
       const bgStyle = attr(this, "bg-style");
       const gradient = attr(this, "gradient");
       const overlay = attr(this, "overlay");
       const paint = attr(this, "paint");
-      const pt = attr(this, "pt", "64px");
-      const pb = attr(this, "pb", "64px");
-      const px = attr(this, "px", "0");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
+      const px = attr(this, "px");
       const mt = attr(this, "mt");
       const shadow = attr(this, "shadow");
       // Check for popup-rounded (inherited from parent cf-popup) if no explicit rounded
@@ -1197,7 +2483,7 @@
       const rounded = attr(this, "rounded") || popupRounded;
       const corner = attr(this, "corner");
       const border = attr(this, "border");
-      const borderStyle = attr(this, "border-style", "solid");
+      const borderStyle = attr(this, "border-style");
       const borderColor = attr(this, "border-color");
       const show = attr(this, "show");
       const brandAsset = attr(this, "brand-asset");
@@ -1205,8 +2491,9 @@
       // Video background attributes
       const videoBg = attr(this, "video-bg");
       const videoBgOverlay = attr(this, "video-bg-overlay");
-      const videoBgHideMobile = attr(this, "video-bg-hide-mobile", "true");
-      const videoBgStyle = attr(this, "video-bg-style", "fill");
+      const videoBgHideMobile = attr(this, "video-bg-hide-mobile");
+      const videoBgStyle = attr(this, "video-bg-style");
+      const videoBgPoster = attr(this, "video-bg-poster");
 
       // If brand-asset is specified, try to get the asset URL from brand assets manager
       if (brandAsset && brandAssetsManager.hasAsset(brandAsset)) {
@@ -1296,14 +2583,15 @@
 
       // Video background handling
       if (videoBg) {
-        const videoId = extractYouTubeVideoId(videoBg);
-        if (videoId) {
-          const videoThumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
+        const video = parseVideoUrl(videoBg);
+        if (video) {
+          const videoThumbnailUrl = videoThumbnail(video);
           dataAttrs += ` data-video-bg-url="${videoBg}"`;
-          dataAttrs += ` data-video-bg-type="youtube"`;
-          dataAttrs += ` data-video-bg-thumbnail="${videoThumbnailUrl}"`;
+          dataAttrs += ` data-video-bg-type="${video.type}"`;
+          if (videoThumbnailUrl) dataAttrs += ` data-video-bg-thumbnail="${videoThumbnailUrl}"`;
           dataAttrs += ` data-video-bg-hide-mobile="${videoBgHideMobile === "true" || videoBgHideMobile === true}"`;
           dataAttrs += ` data-video-bg-style="${videoBgStyle}"`;
+          if (videoBgPoster) dataAttrs += ` data-video-bg-poster="${videoBgPoster}"`;
 
           // Determine overlay color for video - use explicit overlay, video-bg-overlay, or bg if rgba
           let videoOverlayColor = videoBgOverlay || overlay;
@@ -1364,7 +2652,7 @@
   class CFRow extends CFElement {
     render() {
       const elementId = attr(this, "element-id");
-      const width = attr(this, "width", "wide");
+      const width = attr(this, "width");
       const bg = attr(this, "bg");
       let bgImage = attr(this, "bg-image");
       const bgStyle = attr(this, "bg-style");
@@ -1379,7 +2667,7 @@
       const rounded = attr(this, "rounded");
       const corner = attr(this, "corner");
       const border = attr(this, "border");
-      const borderStyle = attr(this, "border-style", "solid");
+      const borderStyle = attr(this, "border-style");
       const borderColor = attr(this, "border-color");
       const brandAsset = attr(this, "brand-asset");
       const show = attr(this, "show");
@@ -1529,8 +2817,8 @@
   class CFCol extends CFElement {
     render() {
       const elementId = attr(this, "element-id");
-      const span = parseInt(attr(this, "span", "12"), 10);
-      const align = attr(this, "align", "left");
+      const span = parseInt(attr(this, "span"), 10);
+      const align = attr(this, "align");
       const show = attr(this, "show");
       const widthPercent = ((span / 12) * 100).toFixed(6) + "%";
 
@@ -1544,7 +2832,7 @@
       const pt = attr(this, "pt");
       const pb = attr(this, "pb");
       const px = attr(this, "px");
-      const mx = attr(this, "mx", "16px");
+      const mx = attr(this, "mx");
       const shadow = attr(this, "shadow");
       const rounded = attr(this, "rounded");
       const corner = attr(this, "corner");
@@ -1553,7 +2841,7 @@
       const roundedBl = attr(this, "rounded-bl");
       const roundedBr = attr(this, "rounded-br");
       const border = attr(this, "border");
-      const borderStyle = attr(this, "border-style", "solid");
+      const borderStyle = attr(this, "border-style");
       const borderColor = attr(this, "border-color");
       const brandAsset = attr(this, "brand-asset");
 
@@ -1880,9 +3168,9 @@
   class CFFlex extends CFElement {
     render() {
       const elementId = attr(this, "element-id");
-      const direction = attr(this, "direction", "row");
-      const justify = attr(this, "justify", "start");
-      const items = attr(this, "items", "start");
+      const direction = attr(this, "direction");
+      const justify = attr(this, "justify");
+      const items = attr(this, "items");
       const wrap = attr(this, "wrap");
       const gap = attr(this, "gap");
       const bg = attr(this, "bg");
@@ -1898,7 +3186,7 @@
       const rounded = attr(this, "rounded");
       const corner = attr(this, "corner");
       const border = attr(this, "border");
-      const borderStyle = attr(this, "border-style", "solid");
+      const borderStyle = attr(this, "border-style");
       const borderColor = attr(this, "border-color");
       const width = attr(this, "width");
       const height = attr(this, "height");
@@ -2046,10 +3334,12 @@
   /**
    * <cf-popup> - Popup/Modal container
    *
-   * Each ClickFunnels page can have one popup that can be triggered to show.
-   * Renders as ModalContainer/V1 in pagetree.
+   * A page can have several popups, told apart by element-id. ClickFunnels
+   * pages have one popup, so only the first (default) popup is exported as
+   * the pagetree ModalContainer/V1.
    *
    * Attributes:
+   *   element-id  - Popup id (referenced by cf-button popup and FunnelWind.popups)
    *   width       - Modal width (default: 750px)
    *   overlay     - Overlay background color (default: rgba(0,0,0,0.5))
    *   rounded     - Border radius for modal (default: 16px)
@@ -2059,20 +3349,29 @@
    *   mt          - Margin top (default: 45px)
    *   mb          - Margin bottom (default: 10px)
    *   px          - Horizontal padding on overlay wrapper
+   *   trigger     - Opens on: click (popup buttons only), exit-intent, delay, scroll (default: click)
+   *   delay       - Seconds before opening (trigger="delay", default: 5)
+   *   scroll-percent - Page scroll depth in % that opens it (trigger="scroll", default: 50)
+   *   show-once   - Open automatically only once per browser session (default: false)
    *
    * Children: cf-section elements that form the popup content
    */
   class CFPopup extends CFElement {
     render() {
-      const width = attr(this, "width", "750px");
-      const overlay = attr(this, "overlay", "rgba(0,0,0,0.5)");
-      const rounded = attr(this, "rounded", "16px");
+      const elementId = attr(this, "element-id");
+      const width = attr(this, "width");
+      const overlay = attr(this, "overlay");
+      const rounded = attr(this, "rounded");
       const border = attr(this, "border");
-      const borderColor = attr(this, "border-color", "#000000");
+      const borderColor = attr(this, "border-color");
       const shadow = attr(this, "shadow");
-      const mt = attr(this, "mt", "45px");
-      const mb = attr(this, "mb", "10px");
-      const px = attr(this, "px", "0");
+      const mt = attr(this, "mt");
+      const mb = attr(this, "mb");
+      const px = attr(this, "px");
+      const trigger = attr(this, "trigger");
+      const delay = attr(this, "delay");
+      const scrollPercent = attr(this, "scroll-percent");
+      const showOnce = attr(this, "show-once") === "true";
 
       // Modal container styles (the actual popup box)
       const modalStyles = {
@@ -2126,6 +3425,10 @@
       if (border) dataAttrs += ` data-popup-border="${border}"`;
       if (borderColor) dataAttrs += ` data-popup-border-color="${borderColor}"`;
       if (shadow) dataAttrs += ` data-popup-shadow="${shadow}"`;
+      if (trigger !== "click") dataAttrs += ` data-trigger="${trigger}"`;
+      if (trigger === "delay") dataAttrs += ` data-delay="${delay}"`;
+      if (trigger === "scroll") dataAttrs += ` data-scroll-percent="${scrollPercent}"`;
+      if (showOnce) dataAttrs += ` data-show-once="true"`;
 
       // Get the resolved border radius value for the first section
       const resolvedRounded = resolve(rounded, RADIUS) || rounded;
@@ -2138,11 +3441,14 @@
         `<cf-section data-popup-rounded="${resolvedRounded}"`
       );
 
+      // Build ID attribute for popup buttons and FunnelWind.popups
+      const idAttr = elementId ? ` id="${elementId}"` : "";
+
       this.outerHTML = `
-        <div class="cf-popup-wrapper" ${dataAttrs} style="${buildStyle(wrapperStyles)}">
-          <div class="cf-popup-modal containerModal" style="${buildStyle(modalStyles)}">
-            <button class="cf-popup-close" style="position:absolute;top:-12px;right:-12px;width:28px;height:28px;border:none;background:#000000;border-radius:50%;cursor:pointer;display:flex;align-items:center;justify-content:center;z-index:10;box-shadow:0 2px 8px rgba(0,0,0,0.3);" onclick="this.closest('.cf-popup-wrapper').style.display='none'">
-              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="#ffffff" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+        <div${idAttr} class="cf-popup-wrapper" ${dataAttrs} style="${buildStyle(wrapperStyles)}">
+          <div class="cf-popup-modal containerModal" role="dialog" aria-modal="true" style="${buildStyle(modalStyles)}">
+            <button type="button" class="cf-popup-close" aria-label="Close" style="position:absolute;top:-12px;right:-12px;width:28px;height:28px;border:none;background:#000000;border-radius:50%;cursor:pointer;display:flex;align-items:center;justify-content:center;z-index:10;box-shadow:0 2px 8px rgba(0,0,0,0.3);">
+              <svg aria-hidden="true" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="#ffffff" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
                 <line x1="18" y1="6" x2="6" y2="18"></line>
                 <line x1="6" y1="6" x2="18" y2="18"></line>
               </svg>
@@ -2181,21 +3487,21 @@
   class CFHeadline extends CFElement {
     render() {
       const elementId = attr(this, "element-id");
-      const size = attr(this, "size", "48px");
-      const weight = attr(this, "weight", "bold");
+      const size = attr(this, "size");
+      const weight = attr(this, "weight");
       const font = attr(this, "font");
       const color = attr(this, "color");
       const hasExplicitColor = this.hasAttribute("color");
-      const align = attr(this, "align", "center");
-      const leading = attr(this, "leading", "tight");
+      const align = attr(this, "align");
+      const leading = attr(this, "leading");
       const tracking = attr(this, "tracking");
       const transform = attr(this, "transform");
-      const pt = attr(this, "pt", "0");
-      const pb = attr(this, "pb", "0");
-      const mt = attr(this, "mt", "0");
-      const tag = attr(this, "tag", "h1");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
+      const mt = attr(this, "mt");
+      const tag = attr(this, "tag");
       const icon = attr(this, "icon");
-      const iconAlign = attr(this, "icon-align", "left");
+      const iconAlign = attr(this, "icon-align");
 
       // NOTE: No width set - allows flex layout to work properly
       // In columns, block elements naturally take 100% width
@@ -2240,6 +3546,7 @@
       if (pt !== "0") dataAttrs += ` data-pt="${pt}"`;
       if (pb !== "0") dataAttrs += ` data-pb="${pb}"`;
       if (mt !== "0") dataAttrs += ` data-mt="${mt}"`;
+      if (tag !== "h1") dataAttrs += ` data-tag="${tag}"`;
       if (icon) dataAttrs += ` data-icon="${icon}"`;
       if (icon && iconAlign !== "left") dataAttrs += ` data-icon-align="${iconAlign}"`;
 
@@ -2277,21 +3584,21 @@
   class CFSubheadline extends CFElement {
     render() {
       const elementId = attr(this, "element-id");
-      const size = attr(this, "size", "24px");
-      const weight = attr(this, "weight", "normal");
+      const size = attr(this, "size");
+      const weight = attr(this, "weight");
       const font = attr(this, "font");
       const color = attr(this, "color");
       const hasExplicitColor = this.hasAttribute("color");
-      const align = attr(this, "align", "center");
-      const leading = attr(this, "leading", "relaxed");
+      const align = attr(this, "align");
+      const leading = attr(this, "leading");
       const tracking = attr(this, "tracking");
       const transform = attr(this, "transform");
-      const pt = attr(this, "pt", "0");
-      const pb = attr(this, "pb", "0");
-      const mt = attr(this, "mt", "0");
-      const tag = attr(this, "tag", "h2");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
+      const mt = attr(this, "mt");
+      const tag = attr(this, "tag");
       const icon = attr(this, "icon");
-      const iconAlign = attr(this, "icon-align", "left");
+      const iconAlign = attr(this, "icon-align");
 
       // NOTE: No width set - allows flex layout to work properly
       const wrapperStyles = {
@@ -2334,6 +3641,7 @@
       if (pt !== "0") dataAttrs += ` data-pt="${pt}"`;
       if (pb !== "0") dataAttrs += ` data-pb="${pb}"`;
       if (mt !== "0") dataAttrs += ` data-mt="${mt}"`;
+      if (tag !== "h2") dataAttrs += ` data-tag="${tag}"`;
       if (icon) dataAttrs += ` data-icon="${icon}"`;
       if (icon && iconAlign !== "left") dataAttrs += ` data-icon-align="${iconAlign}"`;
 
@@ -2371,22 +3679,22 @@
   class CFParagraph extends CFElement {
     render() {
       const elementId = attr(this, "element-id");
-      const size = attr(this, "size", "16px");
-      const weight = attr(this, "weight", "normal");
+      const size = attr(this, "size");
+      const weight = attr(this, "weight");
       const font = attr(this, "font");
       const color = attr(this, "color");
       const hasExplicitColor = this.hasAttribute("color");
-      const align = attr(this, "align", "center");
-      const leading = attr(this, "leading", "relaxed");
+      const align = attr(this, "align");
+      const leading = attr(this, "leading");
       const tracking = attr(this, "tracking");
       const transform = attr(this, "transform");
-      const pt = attr(this, "pt", "0");
-      const pb = attr(this, "pb", "0");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
       const px = attr(this, "px");
-      const mt = attr(this, "mt", "0");
+      const mt = attr(this, "mt");
       const bg = attr(this, "bg");
       const icon = attr(this, "icon");
-      const iconAlign = attr(this, "icon-align", "left");
+      const iconAlign = attr(this, "icon-align");
 
       // NOTE: No width set - allows flex layout to work properly
       const wrapperStyles = {
@@ -2498,11 +3806,13 @@
    */
   class CFButton extends CFElement {
     render() {
-      const action = attr(this, "action", "link");
-      const target = attr(this, "target", "_self");
-      let href = attr(this, "href", "#");
+      const action = attr(this, "action");
+      const target = attr(this, "target");
+      let href = attr(this, "href");
 
       // Action-specific attributes
+      const popup = attr(this, "popup");
+      const endpoint = attr(this, "endpoint");
       const scrollTarget = attr(this, "scroll-target");
       const showIds = attr(this, "show-ids");
       const hideIds = attr(this, "hide-ids");
@@ -2528,25 +3838,25 @@
         styleguideManager.isStyleguideRef(buttonStyleRef, "button");
 
       // Always read attribute values - we need them for data attributes even if using styleguide
-      const bg = attr(this, "bg", "#3b82f6");
-      const color = attr(this, "color", "#ffffff");
-      const size = attr(this, "size", "20px");
-      const weight = attr(this, "weight", "bold");
-      const px = attr(this, "px", "32px");
-      const py = attr(this, "py", "16px");
-      const pt = attr(this, "pt", "0");
+      const bg = attr(this, "bg");
+      const color = attr(this, "color");
+      const size = attr(this, "size");
+      const weight = attr(this, "weight");
+      const px = attr(this, "px");
+      const py = attr(this, "py");
+      const pt = attr(this, "pt");
       const pb = attr(this, "pb");
-      const mt = attr(this, "mt", "0");
-      const rounded = attr(this, "rounded", "default");
+      const mt = attr(this, "mt");
+      const rounded = attr(this, "rounded");
       const shadow = attr(this, "shadow");
       const borderColor = attr(this, "border-color");
-      const borderWidth = attr(this, "border-width", "0");
-      const align = attr(this, "align", "center");
+      const borderWidth = attr(this, "border-width");
+      const align = attr(this, "align");
       const fullWidth = attr(this, "full-width");
       const subtext = attr(this, "subtext");
-      const subtextColor = attr(this, "subtext-color", "rgba(255,255,255,0.8)");
+      const subtextColor = attr(this, "subtext-color");
       const icon = attr(this, "icon");
-      const iconPosition = attr(this, "icon-position", "left");
+      const iconPosition = attr(this, "icon-position");
       const iconColor = attr(this, "icon-color", color);
 
       // NOTE: No width set - allows flex layout to work properly
@@ -2671,6 +3981,12 @@
         if (showIds) wrapperDataAttrs += ` data-show-ids="${showIds}"`;
         if (hideIds) wrapperDataAttrs += ` data-hide-ids="${hideIds}"`;
       }
+      if (action === "popup" && popup) {
+        wrapperDataAttrs += ` data-popup="${popup}"`;
+      }
+      if (action === "submit" && endpoint) {
+        wrapperDataAttrs += ` data-endpoint="${endpoint}"`;
+      }
       if (action === "scroll" && scrollTarget) {
         wrapperDataAttrs += ` data-scroll-target="${scrollTarget}"`;
       }
@@ -2722,21 +4038,21 @@
    */
   class CFImage extends CFElement {
     render() {
-      let src = attr(this, "src", "");
-      const alt = attr(this, "alt", "");
-      const width = attr(this, "width", "100%");
+      let src = attr(this, "src");
+      const alt = attr(this, "alt");
+      const width = attr(this, "width");
       const height = attr(this, "height");
-      const align = attr(this, "align", "center");
+      const align = attr(this, "align");
       const rounded = attr(this, "rounded");
       const corner = attr(this, "corner");
       const shadow = attr(this, "shadow");
       const border = attr(this, "border");
-      const borderStyle = attr(this, "border-style", "solid");
+      const borderStyle = attr(this, "border-style");
       const borderColor = attr(this, "border-color");
       const objectFit = attr(this, "object-fit");
-      const pt = attr(this, "pt", "0");
-      const pb = attr(this, "pb", "0");
-      const mt = attr(this, "mt", "0");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
+      const mt = attr(this, "mt");
       const brandAsset = attr(this, "brand-asset");
 
       // Check if shadow/border/corner are styleguide references
@@ -2809,7 +4125,7 @@
 
       // Build data attributes for roundtrip conversion
       // Note: We store the original src, not the swapped brand asset URL
-      const originalSrc = attr(this, "src", "");
+      const originalSrc = attr(this, "src");
       let dataAttrs = 'data-type="Image/V2"';
       dataAttrs += ` data-src="${originalSrc}"`;
       if (alt) dataAttrs += ` data-alt="${alt}"`;
@@ -2865,15 +4181,15 @@
    */
   class CFIcon extends CFElement {
     render() {
-      const icon = attr(this, "icon", "fas fa-star");
-      const size = attr(this, "size", "48px");
+      const icon = attr(this, "icon");
+      const size = attr(this, "size");
       const color = attr(this, "color");
       const hasExplicitColor = this.hasAttribute("color");
-      const align = attr(this, "align", "center");
+      const align = attr(this, "align");
       const opacity = attr(this, "opacity");
-      const pt = attr(this, "pt", "12px");
-      const pb = attr(this, "pb", "12px");
-      const mt = attr(this, "mt", "0");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
+      const mt = attr(this, "mt");
 
       // NOTE: No width set - allows flex layout to work properly
       const wrapperStyles = {
@@ -2917,10 +4233,17 @@
   }
 
   /**
-   * <cf-video> - YouTube video embed
+   * <cf-video> - Video embed (YouTube, Vimeo, Wistia or MP4)
    *
    * Attributes:
-   *   url         - Full YouTube URL
+   *   url         - YouTube, Vimeo, Wistia or MP4 URL
+   *   autoplay    - Start playing on load (browsers only allow this muted)
+   *   muted       - Start muted
+   *   controls    - Show player controls (default: true)
+   *   loop        - Play again from the start when it ends
+   *   start       - Start time: seconds or m:ss
+   *   end         - End time: seconds or m:ss (YouTube and MP4 only)
+   *   aspect-ratio - Player aspect ratio (default: 16/9)
    *   rounded     - Border radius
    *   corner      - Styleguide corner ref (style1-3)
    *   shadow      - Box shadow or styleguide ref (style1-3)
@@ -2935,18 +4258,27 @@
    */
   class CFVideo extends CFElement {
     render() {
-      const url = attr(this, "url", "");
-      const rounded = attr(this, "rounded", "lg");
+      const url = attr(this, "url");
+      // Boolean options also count when present without a value (<cf-video autoplay>)
+      const flag = (name) => ["true", ""].includes(attr(this, name));
+      const autoplay = flag("autoplay");
+      const muted = flag("muted");
+      const controls = attr(this, "controls") !== "false";
+      const loop = flag("loop");
+      const start = attr(this, "start");
+      const end = attr(this, "end");
+      const aspectRatio = attr(this, "aspect-ratio").replace(":", "/");
+      const rounded = attr(this, "rounded");
       const corner = attr(this, "corner");
-      const shadow = attr(this, "shadow", "lg");
+      const shadow = attr(this, "shadow");
       const border = attr(this, "border");
-      const borderStyle = attr(this, "border-style", "solid");
+      const borderStyle = attr(this, "border-style");
       const borderColor = attr(this, "border-color");
-      const bg = attr(this, "bg", "#000");
-      const pt = attr(this, "pt", "0");
-      const pb = attr(this, "pb", "0");
+      const bg = attr(this, "bg");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
       const px = attr(this, "px");
-      const mt = attr(this, "mt", "0");
+      const mt = attr(this, "mt");
 
       // Check if shadow/border/corner are styleguide references
       const isShadowStyleguide =
@@ -2956,12 +4288,8 @@
       const isCornerStyleguide =
         corner && styleguideManager.isStyleguideRef(corner, "corner");
 
-      // Extract YouTube video ID
-      const match = url.match(
-        /(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\s]+)/
-      );
-      const videoId = match ? match[1] : "";
-      const embedUrl = `https://www.youtube.com/embed/${videoId}`;
+      // Unrecognized URLs are embedded as given
+      const video = parseVideoUrl(url) || { type: "youtube", id: "", url };
 
       // NOTE: No width on wrapper - allows flex layout to work properly
       const wrapperStyles = {
@@ -2977,7 +4305,7 @@
 
       const containerStyles = {
         width: "100%",
-        "aspect-ratio": "16/9",
+        "aspect-ratio": aspectRatio,
         position: "relative",
         overflow: "hidden",
         "background-color": bg,
@@ -3002,8 +4330,15 @@
       if (borderColor) containerStyles["border-color"] = borderColor;
 
       // Build data attributes for roundtrip conversion
-      let dataAttrs = 'data-type="Video/V1" data-video-type="youtube"';
+      let dataAttrs = `data-type="Video/V1" data-video-type="${video.type}"`;
       dataAttrs += ` data-video-url="${url}"`;
+      if (autoplay) dataAttrs += ` data-autoplay="true"`;
+      if (muted) dataAttrs += ` data-muted="true"`;
+      if (!controls) dataAttrs += ` data-controls="false"`;
+      if (loop) dataAttrs += ` data-loop="true"`;
+      if (start) dataAttrs += ` data-start="${start}"`;
+      if (end) dataAttrs += ` data-end="${end}"`;
+      if (aspectRatio !== "16/9") dataAttrs += ` data-aspect-ratio="${aspectRatio}"`;
       if (rounded !== "lg") dataAttrs += ` data-rounded="${rounded}"`;
       if (corner) dataAttrs += ` data-corner="${corner}"`;
       if (shadow !== "lg") dataAttrs += ` data-shadow="${shadow}"`;
@@ -3021,12 +4356,11 @@
       this.outerHTML = `
         <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
           <div style="${buildStyle(containerStyles)}">
-            <iframe
-              src="${embedUrl}"
-              style="width: 100%; height: 100%; border: none;"
-              allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-              allowfullscreen
-            ></iframe>
+            ${videoPlayerHtml(
+              video,
+              { autoplay, muted, controls, loop, start: parseVideoTime(start), end: parseVideoTime(end) },
+              "width: 100%; height: 100%; border: none;"
+            )}
           </div>
         </div>
       `;
@@ -3050,14 +4384,14 @@
    */
   class CFDivider extends CFElement {
     render() {
-      const color = attr(this, "color", "#e2e8f0");
-      const width = attr(this, "width", "100%");
-      const thickness = attr(this, "thickness", "1px");
-      const borderStyle = attr(this, "style", "solid");
-      const align = attr(this, "align", "center");
+      const color = attr(this, "color");
+      const width = attr(this, "width");
+      const thickness = attr(this, "thickness");
+      const borderStyle = attr(this, "style");
+      const align = attr(this, "align");
       const shadow = attr(this, "shadow");
-      const pt = attr(this, "pt", "16px");
-      const pb = attr(this, "pb", "16px");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
       const px = attr(this, "px");
       const mt = attr(this, "mt");
 
@@ -3117,10 +4451,13 @@
    * <cf-input> - Text input field
    *
    * Attributes:
-   *   type        - Input type: email, name, first_name, last_name, phone_number,
-   *                 shipping_address, shipping_city, shipping_zip, shipping_state,
-   *                 shipping_country, custom_type
+   *   type        - Contact field (see INPUT_TYPES): email, name or full_name
+   *                 (full name), first_name, last_name, phone_number, address, city,
+   *                 state, zip, country,
+   *                 shipping_address, shipping_city, shipping_state, shipping_zip,
+   *                 shipping_country, password, custom_type
    *   name        - Custom field name (required when type="custom_type")
+   *   placeholder - Placeholder text (default: the type's placeholder)
    *   required    - Required field (true/false)
    *   bg          - Background color
    *   color       - Text color
@@ -3138,22 +4475,23 @@
    */
   class CFInput extends CFElement {
     render() {
-      const type = attr(this, "type", "email");
+      const type = attr(this, "type");
+      const inputType = INPUT_TYPES[type] || INPUT_TYPES.custom_type;
       const name = attr(this, "name");
-      const placeholder = attr(this, "placeholder", "");
+      const placeholder = attr(this, "placeholder");
       const required = attr(this, "required");
-      const bg = attr(this, "bg", "#ffffff");
+      const bg = attr(this, "bg");
       const color = attr(this, "color");
-      const fontSize = attr(this, "font-size", "16px");
-      const borderColor = attr(this, "border-color", "#d1d5db");
-      const rounded = attr(this, "rounded", "lg");
+      const fontSize = attr(this, "font-size");
+      const borderColor = attr(this, "border-color");
+      const rounded = attr(this, "rounded");
       const shadow = attr(this, "shadow");
-      const border = attr(this, "border", "1");
-      const borderStyle = attr(this, "border-style", "solid");
-      const px = attr(this, "px", "16px");
-      const py = attr(this, "py", "12px");
+      const border = attr(this, "border");
+      const borderStyle = attr(this, "border-style");
+      const px = attr(this, "px");
+      const py = attr(this, "py");
       const inputWidth = attr(this, "width");
-      const align = attr(this, "align", "center");
+      const align = attr(this, "align");
       const pt = attr(this, "pt");
       const mt = attr(this, "mt");
 
@@ -3166,7 +4504,7 @@
       if (required === "true" || required === "")
         dataAttrs += ' data-required="true"';
       if (inputWidth) dataAttrs += ` data-width="${inputWidth}"`;
-      if (placeholder) dataAttrs += ` data-placeholder="${placeholder}"`;
+      if (placeholder !== null) dataAttrs += ` data-placeholder="${placeholder}"`;
 
       const wrapperStyles = {
         width: "100%",
@@ -3208,13 +4546,19 @@
       };
       if (color) fieldStyles["color"] = color;
 
-      const htmlType = { email: "email", phone_number: "tel" }[type] || "text";
-      const placeholderAttr = placeholder ? ` placeholder="${placeholder}"` : "";
+      // Without a placeholder attribute the type's default is shown
+      const shownPlaceholder = placeholder === null ? inputType.placeholder : placeholder;
+      const placeholderAttr = shownPlaceholder ? ` placeholder="${shownPlaceholder}"` : "";
+      const autocompleteAttr = inputType.autocomplete ? ` autocomplete="${inputType.autocomplete}"` : "";
+      // Submitted under the contact field name, or the custom name
+      const fieldName = type === "custom_type" ? name : type;
+      const nameAttr = fieldName ? ` name="${fieldName}"` : "";
+      const requiredAttr = required === "true" || required === "" ? " required" : "";
 
       this.outerHTML = `
         <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
           <div style="${buildStyle(containerStyles)}">
-            <input type="${htmlType}"${placeholderAttr} style="${buildStyle(fieldStyles)}" />
+            <input type="${inputType.html}"${nameAttr}${placeholderAttr}${autocompleteAttr}${requiredAttr} style="${buildStyle(fieldStyles)}" />
           </div>
         </div>
       `;
@@ -3244,22 +4588,22 @@
    */
   class CFTextarea extends CFElement {
     render() {
-      const name = attr(this, "name", "message");
-      const placeholder = attr(this, "placeholder", "");
+      const name = attr(this, "name");
+      const placeholder = attr(this, "placeholder");
       const required = attr(this, "required");
-      const bg = attr(this, "bg", "#ffffff");
+      const bg = attr(this, "bg");
       const color = attr(this, "color");
-      const fontSize = attr(this, "font-size", "16px");
-      const borderColor = attr(this, "border-color", "#d1d5db");
-      const rounded = attr(this, "rounded", "lg");
+      const fontSize = attr(this, "font-size");
+      const borderColor = attr(this, "border-color");
+      const rounded = attr(this, "rounded");
       const shadow = attr(this, "shadow");
-      const border = attr(this, "border", "1");
-      const borderStyle = attr(this, "border-style", "solid");
-      const px = attr(this, "px", "16px");
-      const py = attr(this, "py", "12px");
+      const border = attr(this, "border");
+      const borderStyle = attr(this, "border-style");
+      const px = attr(this, "px");
+      const py = attr(this, "py");
       const textareaWidth = attr(this, "width");
-      const height = attr(this, "height", "120px");
-      const align = attr(this, "align", "center");
+      const height = attr(this, "height");
+      const align = attr(this, "align");
       const pt = attr(this, "pt");
       const mt = attr(this, "mt");
 
@@ -3315,11 +4659,12 @@
       if (color) fieldStyles["color"] = color;
 
       const placeholderAttr = placeholder ? ` placeholder="${placeholder}"` : "";
+      const requiredAttr = required === "true" || required === "" ? " required" : "";
 
       this.outerHTML = `
         <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
           <div style="${buildStyle(containerStyles)}">
-            <textarea${placeholderAttr} style="${buildStyle(fieldStyles)}"></textarea>
+            <textarea name="${name}"${placeholderAttr}${requiredAttr} style="${buildStyle(fieldStyles)}"></textarea>
           </div>
         </div>
       `;
@@ -3346,29 +4691,32 @@
    *   align       - Alignment
    *   pt          - Wrapper padding top
    *   mt          - Wrapper margin top
+   *   options     - JSON array or "label|value" list (instead of children)
+   *   value       - Value of the pre-selected option (instead of selected)
    *
-   * Children: <option value="...">Label</option>
+   * Children: <cf-option value="..." selected>Label</cf-option>
    */
   class CFSelect extends CFElement {
     render() {
-      const type = attr(this, "type", "custom_type");
-      const name = attr(this, "name", "option");
-      const placeholder = attr(this, "placeholder", "Select an option...");
+      const type = attr(this, "type");
+      const name = attr(this, "name");
+      const value = attr(this, "value");
+      const placeholder = attr(this, "placeholder");
       const required = attr(this, "required");
-      const bg = attr(this, "bg", "#ffffff");
+      const bg = attr(this, "bg");
       const color = attr(this, "color");
-      const fontSize = attr(this, "font-size", "16px");
-      const borderColor = attr(this, "border-color", "#d1d5db");
-      const rounded = attr(this, "rounded", "lg");
+      const fontSize = attr(this, "font-size");
+      const borderColor = attr(this, "border-color");
+      const rounded = attr(this, "rounded");
       const shadow = attr(this, "shadow");
-      const border = attr(this, "border", "1");
-      const borderStyle = attr(this, "border-style", "solid");
-      const px = attr(this, "px", "16px");
-      const py = attr(this, "py", "12px");
+      const border = attr(this, "border");
+      const borderStyle = attr(this, "border-style");
+      const px = attr(this, "px");
+      const py = attr(this, "py");
       const selectWidth = attr(this, "width");
-      const align = attr(this, "align", "center");
+      const align = attr(this, "align");
       const pt = attr(this, "pt");
-      const mt = attr(this, "mt", "0");
+      const mt = attr(this, "mt");
 
       let dataAttrs = `data-type="SelectBox/V1" data-select-name="${name}" data-select-type="${type}" data-align="${align}"`;
       dataAttrs += ` data-font-size="${fontSize}"`;
@@ -3419,13 +4767,20 @@
       };
       if (color) fieldStyles["color"] = color;
 
-      // Get option elements from children
-      const options = getContent(this);
+      // The value attribute wins over selected options, as on cf-radio-group
+      const isSelected = (option) => (value !== null ? option.value === value : option.selected);
+      const options = elementOptions(this)
+        .map(
+          (option) =>
+            `<option value="${escapeAttribute(option.value)}"${isSelected(option) ? " selected" : ""}>${escapeText(option.label)}</option>`
+        )
+        .join("\n              ");
+      const requiredAttr = required === "true" || required === "" ? " required" : "";
 
       this.outerHTML = `
         <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
           <div style="${buildStyle(containerStyles)}">
-            <select style="${buildStyle(fieldStyles)}">
+            <select name="${name}"${requiredAttr} style="${buildStyle(fieldStyles)}">
               <option value="">${placeholder}</option>
               ${options}
             </select>
@@ -3448,30 +4803,39 @@
    *   box-bg      - Box background color
    *   box-border-color - Box border color
    *   check-color - Check mark color
+   *   checked-bg  - Box background and border color when checked
    *   gap         - Gap between box and label
    *   mt          - Margin top
    *
    * Content: Label text (supports HTML)
+   *
+   * The initial state is drawn inline; initCheckboxes() styles later
+   * clicks and keyboard focus.
    */
   class CFCheckbox extends CFElement {
     render() {
-      const name = attr(this, "name", "agree");
+      const name = attr(this, "name");
       const checked = attr(this, "checked");
       const required = attr(this, "required");
-      const labelColor = attr(this, "label-color", "#334155");
-      const labelSize = attr(this, "label-size", "16px");
-      const boxSize = attr(this, "box-size", "20px");
-      const boxBg = attr(this, "box-bg", "#ffffff");
-      const boxBorderColor = attr(this, "box-border-color", "#d1d5db");
-      const checkColor = attr(this, "check-color", "#ffffff");
-      const gap = attr(this, "gap", "12px");
+      const labelColor = attr(this, "label-color");
+      const labelSize = attr(this, "label-size");
+      const boxSize = attr(this, "box-size");
+      const boxBg = attr(this, "box-bg");
+      const boxBorderColor = attr(this, "box-border-color");
+      const checkColor = attr(this, "check-color");
+      const checkedBg = attr(this, "checked-bg");
+      const gap = attr(this, "gap");
       const mt = attr(this, "mt");
 
+      const isChecked = checked === "true" || checked === "";
+
       let dataAttrs = `data-type="Checkbox/V1" data-name="${name}"`;
-      if (checked === "true" || checked === "")
+      if (isChecked)
         dataAttrs += ' data-checked="true"';
       if (required === "true" || required === "")
         dataAttrs += ' data-required="true"';
+      if (checkedBg !== schemaDefault(this, "checked-bg"))
+        dataAttrs += ` data-checked-bg="${checkedBg}"`;
 
       const wrapperStyles = {
         width: "100%",
@@ -3486,13 +4850,17 @@
         cursor: "pointer",
       };
 
+      // The custom properties let the injected CSS restyle the box on toggle
       const boxStyles = {
+        "--cf-checkbox-bg": boxBg,
+        "--cf-checkbox-border-color": boxBorderColor,
+        "--cf-checkbox-checked-bg": checkedBg,
         "flex-shrink": "0",
         width: boxSize,
         height: boxSize,
-        border: `2px solid ${boxBorderColor}`,
+        border: `2px solid ${isChecked ? checkedBg : boxBorderColor}`,
         "border-radius": "4px",
-        "background-color": boxBg,
+        "background-color": isChecked ? checkedBg : boxBg,
         display: "flex",
         "align-items": "center",
         "justify-content": "center",
@@ -3504,16 +4872,14 @@
         color: labelColor,
       };
 
-      const isChecked = checked === "true" || checked === "";
-
       this.outerHTML = `
         <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
           <label style="${buildStyle(labelStyles)}">
-            <input type="checkbox" style="position: absolute; opacity: 0; width: 0; height: 0;" ${
+            <input type="checkbox" class="cf-checkbox-input" name="${name}" style="position: absolute; opacity: 0; width: 0; height: 0;" ${
               isChecked ? "checked" : ""
-            } />
-            <span style="${buildStyle(boxStyles)}">
-              <i class="fas fa-check" style="color: ${checkColor}; font-size: calc(${boxSize} * 0.6); display: none;"></i>
+            }${required === "true" || required === "" ? " required" : ""} />
+            <span class="cf-checkbox-box" style="${buildStyle(boxStyles)}">
+              <i class="fas fa-check cf-checkbox-check" style="color: ${checkColor}; font-size: calc(${boxSize} * 0.6); display: ${isChecked ? "inline-block" : "none"};"></i>
             </span>
             <span style="${buildStyle(textStyles)}">${getContent(this)}</span>
           </label>
@@ -3522,6 +4888,140 @@
     }
   }
 
+  /**
+   * <cf-radio-group> - Radio buttons with labels, styled like cf-checkbox
+   *
+   * Attributes:
+   *   name        - Field name (default: choice-1, choice-2, ... in render order;
+   *                 groups sharing a name would act as one radio set)
+   *   options     - JSON array or "label|value" list (instead of children)
+   *   value       - Value of the pre-selected option
+   *   required    - Required field
+   *   direction   - vertical or horizontal
+   *   label-color - Label text color
+   *   label-size  - Label font size
+   *   box-size    - Radio circle size
+   *   box-bg      - Circle background color
+   *   box-border-color - Circle border color
+   *   check-color - Dot color
+   *   checked-bg  - Circle background and border color when selected
+   *   gap         - Gap between circle and label
+   *   option-gap  - Gap between options
+   *   mt          - Margin top
+   *
+   * Children: <cf-option value="..." selected>Label</cf-option>
+   *
+   * Like cf-checkbox, the initial state is drawn inline and
+   * initRadioGroups() styles later clicks and keyboard focus.
+   */
+  // Numbers the default names of unnamed radio groups
+  let radioGroupCount = 0;
+
+  class CFRadioGroup extends CFElement {
+    render() {
+      const name = attr(this, "name") || `choice-${++radioGroupCount}`;
+      const value = attr(this, "value");
+      const required = attr(this, "required");
+      const direction = attr(this, "direction");
+      const labelColor = attr(this, "label-color");
+      const labelSize = attr(this, "label-size");
+      const boxSize = attr(this, "box-size");
+      const boxBg = attr(this, "box-bg");
+      const boxBorderColor = attr(this, "box-border-color");
+      const checkColor = attr(this, "check-color");
+      const checkedBg = attr(this, "checked-bg");
+      const gap = attr(this, "gap");
+      const optionGap = attr(this, "option-gap");
+      const mt = attr(this, "mt");
+
+      const options = elementOptions(this);
+      // The value attribute wins over a selected option
+      const selectedOption = value !== null
+        ? options.find((option) => option.value === value)
+        : options.find((option) => option.selected);
+      const isRequired = required === "true" || required === "";
+
+      let dataAttrs = `data-type="RadioGroup/V1" data-name="${name}"`;
+      if (selectedOption)
+        dataAttrs += ` data-value="${escapeAttribute(selectedOption.value)}"`;
+      if (isRequired)
+        dataAttrs += ' data-required="true"';
+      if (direction !== schemaDefault(this, "direction"))
+        dataAttrs += ` data-direction="${direction}"`;
+      if (checkedBg !== schemaDefault(this, "checked-bg"))
+        dataAttrs += ` data-checked-bg="${checkedBg}"`;
+
+      const wrapperStyles = {
+        width: "100%",
+        "box-sizing": "border-box",
+      };
+      if (mt) wrapperStyles["margin-top"] = mt;
+
+      const groupStyles = {
+        display: "flex",
+        "flex-direction": direction === "horizontal" ? "row" : "column",
+        "flex-wrap": direction === "horizontal" ? "wrap" : null,
+        gap: optionGap,
+      };
+
+      const labelStyles = {
+        display: "flex",
+        "align-items": "center",
+        gap: gap,
+        cursor: "pointer",
+      };
+
+      const textStyles = {
+        "font-size": labelSize,
+        "line-height": "1.5",
+        color: labelColor,
+      };
+
+      const radios = options.map((option) => {
+        const isChecked = option === selectedOption;
+        const boxStyles = {
+          "--cf-checkbox-bg": boxBg,
+          "--cf-checkbox-border-color": boxBorderColor,
+          "--cf-checkbox-checked-bg": checkedBg,
+          "flex-shrink": "0",
+          width: boxSize,
+          height: boxSize,
+          border: `2px solid ${isChecked ? checkedBg : boxBorderColor}`,
+          "border-radius": "50%",
+          "background-color": isChecked ? checkedBg : boxBg,
+          display: "flex",
+          "align-items": "center",
+          "justify-content": "center",
+        };
+        const dotStyles = {
+          width: `calc(${boxSize} * 0.4)`,
+          height: `calc(${boxSize} * 0.4)`,
+          "border-radius": "50%",
+          "background-color": checkColor,
+          display: isChecked ? "block" : "none",
+        };
+
+        return `
+            <label style="${buildStyle(labelStyles)}">
+              <input type="radio" class="cf-checkbox-input" name="${name}" value="${escapeAttribute(option.value)}" style="position: absolute; opacity: 0; width: 0; height: 0;"${
+                isChecked ? " checked" : ""
+              }${isRequired ? " required" : ""} />
+              <span class="cf-checkbox-box" style="${buildStyle(boxStyles)}">
+                <span class="cf-radio-dot" style="${buildStyle(dotStyles)}"></span>
+              </span>
+              <span style="${buildStyle(textStyles)}">${escapeText(option.label)}</span>
+            </label>`;
+      });
+
+      this.outerHTML = `
+        <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
+          <div role="radiogroup" style="${buildStyle(groupStyles)}">${radios.join("")}
+          </div>
+        </div>
+      `;
+    }
+  }
+
   // ==========================================================================
   // LIST ELEMENTS
   // ==========================================================================
@@ -3547,19 +5047,19 @@
    */
   class CFBulletList extends CFElement {
     render() {
-      const icon = attr(this, "icon", "fas fa-check");
+      const icon = attr(this, "icon");
       const iconColor = attr(this, "icon-color");
       const hasExplicitIconColor = this.hasAttribute("icon-color");
       const textColor = attr(this, "text-color"); // No default - allows paint inheritance
       const hasExplicitTextColor = this.hasAttribute("text-color");
-      const iconSize = attr(this, "icon-size", "16px");
-      const size = attr(this, "size", "m"); // Size preset (s, m, l, xl) - uses paragraph scale
-      const gap = attr(this, "gap", "12px");
-      const itemGap = attr(this, "item-gap", "8px");
-      const align = attr(this, "align", "left");
-      const pt = attr(this, "pt", "0");
-      const pb = attr(this, "pb", "0");
-      const mt = attr(this, "mt", "0");
+      const iconSize = attr(this, "icon-size");
+      const size = attr(this, "size"); // Size preset (s, m, l, xl) - uses paragraph scale
+      const gap = attr(this, "gap");
+      const itemGap = attr(this, "item-gap");
+      const align = attr(this, "align");
+      const pt = attr(this, "pt");
+      const pb = attr(this, "pb");
+      const mt = attr(this, "mt");
 
       // Resolve size preset to pixel value using paragraph scale (bullet lists are body text)
       const resolvedSize = styleguideManager.resolveSize(size, 'paragraph') || resolve(size, FONT_SIZES) || size;
@@ -3615,10 +5115,10 @@
         textStyles.color = `${textColor} !important`;
       }
 
-      // Parse list items
-      const tempDiv = document.createElement("div");
+      // Parse list items (DOM-free so server rendering matches the browser)
+      const tempDiv = new MarkupElement("div");
       tempDiv.innerHTML = getContent(this);
-      const items = tempDiv.querySelectorAll("li");
+      const items = tempDiv.getElementsByTagName("li");
 
       let listContent = "";
       items.forEach((item) => {
@@ -3680,22 +5180,22 @@
    */
   class CFProgressBar extends CFElement {
     render() {
-      const progress = parseInt(attr(this, 'progress', '50'), 10);
-      const text = attr(this, 'text', '');
-      const textOutside = attr(this, 'text-outside', 'false') === 'true';
-      const width = attr(this, 'width', '100%');
-      const height = attr(this, 'height', '24px');
-      const bg = attr(this, 'bg', '#e2e8f0');
-      const fill = attr(this, 'fill', '#3b82f6');
+      const progress = parseInt(attr(this, 'progress'), 10);
+      const text = attr(this, 'text');
+      const textOutside = attr(this, 'text-outside') === 'true';
+      const width = attr(this, 'width');
+      const height = attr(this, 'height');
+      const bg = attr(this, 'bg');
+      const fill = attr(this, 'fill');
       const textColor = attr(this, 'text-color', textOutside ? '#334155' : '#ffffff');
-      const rounded = attr(this, 'rounded', 'full');
+      const rounded = attr(this, 'rounded');
       const shadow = attr(this, 'shadow');
       const border = attr(this, 'border');
-      const borderColor = attr(this, 'border-color', '#000000');
-      const pt = attr(this, 'pt', '0');
-      const pb = attr(this, 'pb', '0');
-      const mt = attr(this, 'mt', '0');
-      const alignAttr = attr(this, 'align', 'center');
+      const borderColor = attr(this, 'border-color');
+      const pt = attr(this, 'pt');
+      const pb = attr(this, 'pb');
+      const mt = attr(this, 'mt');
+      const alignAttr = attr(this, 'align');
 
       const wrapperStyles = {
         'width': '100%',
@@ -3786,8 +5286,8 @@
    * <cf-video-popup> - Clickable thumbnail that opens video in modal
    *
    * Attributes:
-   *   url         - YouTube video URL (required)
-   *   thumbnail   - Custom thumbnail URL (auto-generated from YouTube if not provided)
+   *   url         - YouTube, Vimeo, Wistia or MP4 URL (required)
+   *   thumbnail   - Custom thumbnail URL (generated for YouTube, looked up for Vimeo/Wistia; set it for MP4)
    *   alt         - Alt text for thumbnail
    *   width       - Thumbnail width (default: 100%)
    *   align       - Alignment: left, center, right (default: center)
@@ -3805,28 +5305,27 @@
    */
   class CFVideoPopup extends CFElement {
     render() {
-      const url = attr(this, 'url', '');
-      let thumbnail = attr(this, 'thumbnail', '');
-      const alt = attr(this, 'alt', 'Video thumbnail');
-      const width = attr(this, 'width', '100%');
-      const alignAttr = attr(this, 'align', 'center');
-      const rounded = attr(this, 'rounded', 'lg');
-      const shadow = attr(this, 'shadow', 'lg');
+      const url = attr(this, 'url');
+      let thumbnail = attr(this, 'thumbnail');
+      const alt = attr(this, 'alt');
+      const width = attr(this, 'width');
+      const alignAttr = attr(this, 'align');
+      const rounded = attr(this, 'rounded');
+      const shadow = attr(this, 'shadow');
       const border = attr(this, 'border');
-      const borderColor = attr(this, 'border-color', '#000000');
-      const overlayBg = attr(this, 'overlay-bg', 'rgba(0,0,0,0.8)');
-      const playIcon = attr(this, 'play-icon', 'true') !== 'false';
-      const playIconSize = attr(this, 'play-icon-size', '64px');
-      const playIconColor = attr(this, 'play-icon-color', '#ffffff');
-      const pt = attr(this, 'pt', '0');
-      const pb = attr(this, 'pb', '0');
-      const mt = attr(this, 'mt', '0');
-
-      // Extract YouTube video ID and generate thumbnail if not provided
-      const videoId = extractYouTubeVideoId(url);
-      if (!thumbnail && videoId) {
-        thumbnail = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
-      }
+      const borderColor = attr(this, 'border-color');
+      const overlayBg = attr(this, 'overlay-bg');
+      const playIcon = attr(this, 'play-icon') !== 'false';
+      const playIconSize = attr(this, 'play-icon-size');
+      const playIconColor = attr(this, 'play-icon-color');
+      const pt = attr(this, 'pt');
+      const pb = attr(this, 'pb');
+      const mt = attr(this, 'mt');
+
+      // Generate the thumbnail from the video URL if not provided
+      // (Vimeo and Wistia thumbnails are looked up by the runtime)
+      const video = parseVideoUrl(url);
+      if (!thumbnail) thumbnail = videoThumbnail(video);
 
       const wrapperStyles = {
         'width': '100%',
@@ -3851,6 +5350,12 @@
         'height': 'auto',
         'border-radius': resolve(rounded, RADIUS) || rounded,
       };
+      if (!thumbnail) {
+        // Black 16:9 frame until the runtime finds a thumbnail
+        imgStyles['aspect-ratio'] = '16/9';
+        imgStyles['object-fit'] = 'cover';
+        imgStyles['background-color'] = '#000000';
+      }
       if (shadow) imgStyles['box-shadow'] = resolve(shadow, SHADOWS) || shadow;
       if (border) {
         imgStyles['border-width'] = border;
@@ -3873,7 +5378,7 @@
       // Build data attributes
       let dataAttrs = 'data-type="VideoPopup/V1"';
       dataAttrs += ` data-video-url="${url}"`;
-      dataAttrs += ` data-video-type="youtube"`;
+      dataAttrs += ` data-video-type="${video ? video.type : "youtube"}"`;
       dataAttrs += ` data-thumbnail="${thumbnail}"`;
       dataAttrs += ` data-overlay-bg="${overlayBg}"`;
       if (rounded !== 'lg') dataAttrs += ` data-rounded="${rounded}"`;
@@ -3888,7 +5393,7 @@
       this.outerHTML = `
         <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
           <div class="elImageWrapper" style="${buildStyle(imageWrapperStyles)}">
-            <img class="elImage" src="${thumbnail}" alt="${alt}" style="${buildStyle(imgStyles)}" />
+            <img class="elImage"${thumbnail ? ` src="${thumbnail}"` : ""} alt="${alt}" style="${buildStyle(imgStyles)}" />
             ${playIconHtml}
           </div>
         </div>
@@ -3900,14 +5405,26 @@
    * <cf-countdown> - Countdown timer to a specific date/time
    *
    * Attributes:
-   *   end-date    - Target date (YYYY-MM-DD format, required)
+   *   element-id  - Element id (also keys the evergreen start time)
+   *   mode        - date, evergreen, daily (default: date)
+   *                 date: count down to end-date/end-time
+   *                 evergreen: count down duration-* from the visitor's first visit
+   *                 daily: count down to end-time every day
+   *   end-date    - Target date (YYYY-MM-DD format, required in date mode)
    *   end-time    - Target time (HH:MM:SS format, default: 00:00:00)
-   *   timezone    - Timezone (default: America/New_York)
+   *   duration-days, duration-hours, duration-minutes, duration-seconds
+   *               - Evergreen duration (default: 0)
+   *   timezone    - IANA timezone of end-date/end-time (default: America/New_York)
    *   show-days   - Show days (default: true)
    *   show-hours  - Show hours (default: true)
    *   show-minutes - Show minutes (default: true)
    *   show-seconds - Show seconds (default: true)
    *   redirect    - URL to redirect when countdown ends
+   *   hide-ids    - Comma-separated element-ids to hide when countdown ends
+   *   show-ids    - Comma-separated element-ids to show when countdown ends (hidden until then)
+   *   open-popup  - Popup to open when countdown ends: a popup element-id, or true for the default popup
+   *   on-expire   - The expiry actions above in one attribute, as "action: value"
+   *                 pairs separated by semicolons ("hide-ids: buy; open-popup")
    *   number-bg   - Background color for number boxes (default: #1C65E1)
    *   number-color - Number text color (default: #ffffff)
    *   label-color - Label text color (default: #164EAD)
@@ -3922,25 +5439,39 @@
    */
   class CFCountdown extends CFElement {
     render() {
-      const endDate = attr(this, 'end-date', '');
-      const endTime = attr(this, 'end-time', '00:00:00');
-      const timezone = attr(this, 'timezone', 'America/New_York');
-      const showDays = attr(this, 'show-days', 'true') === 'true';
-      const showHours = attr(this, 'show-hours', 'true') === 'true';
-      const showMinutes = attr(this, 'show-minutes', 'true') === 'true';
-      const showSeconds = attr(this, 'show-seconds', 'true') === 'true';
-      const redirect = attr(this, 'redirect', '');
-      const numberBg = attr(this, 'number-bg', '#1C65E1');
-      const numberColor = attr(this, 'number-color', '#ffffff');
-      const labelColor = attr(this, 'label-color', '#164EAD');
-      const numberSize = attr(this, 'number-size', '28px');
-      const labelSize = attr(this, 'label-size', '11px');
-      const rounded = attr(this, 'rounded', 'lg');
-      const gap = attr(this, 'gap', '0.65em');
-      const alignAttr = attr(this, 'align', 'center');
-      const pt = attr(this, 'pt', '0');
-      const pb = attr(this, 'pb', '0');
-      const mt = attr(this, 'mt', '0');
+      const elementId = attr(this, 'element-id');
+      const mode = attr(this, 'mode');
+      const endDate = attr(this, 'end-date');
+      const endTime = attr(this, 'end-time');
+      const durations = ['days', 'hours', 'minutes', 'seconds']
+        .map((unit) => [unit, attr(this, `duration-${unit}`)]);
+      const timezone = attr(this, 'timezone');
+      const showDays = attr(this, 'show-days') === 'true';
+      const showHours = attr(this, 'show-hours') === 'true';
+      const showMinutes = attr(this, 'show-minutes') === 'true';
+      const showSeconds = attr(this, 'show-seconds') === 'true';
+      // on-expire lists the same actions in one attribute: its ids add to
+      // hide-ids/show-ids, redirect and open-popup attributes take precedence
+      const expiry = {};
+      parseExpiryActions(attr(this, 'on-expire')).forEach(({ action, value }) => {
+        if (!EXPIRY_ACTIONS.includes(action) || !value) return;
+        expiry[action] = expiry[action] && action.endsWith('-ids') ? `${expiry[action]},${value}` : value;
+      });
+      const redirect = attr(this, 'redirect') || expiry.redirect || '';
+      const hideIds = [attr(this, 'hide-ids'), expiry['hide-ids']].filter(Boolean).join(',');
+      const showIds = [attr(this, 'show-ids'), expiry['show-ids']].filter(Boolean).join(',');
+      const openPopup = attr(this, 'open-popup') || expiry['open-popup'] || '';
+      const numberBg = attr(this, 'number-bg');
+      const numberColor = attr(this, 'number-color');
+      const labelColor = attr(this, 'label-color');
+      const numberSize = attr(this, 'number-size');
+      const labelSize = attr(this, 'label-size');
+      const rounded = attr(this, 'rounded');
+      const gap = attr(this, 'gap');
+      const alignAttr = attr(this, 'align');
+      const pt = attr(this, 'pt');
+      const pb = attr(this, 'pb');
+      const mt = attr(this, 'mt');
 
       const wrapperStyles = {
         'width': '100%',
@@ -3988,14 +5519,21 @@
 
       // Build data attributes
       let dataAttrs = 'data-type="Countdown/V1"';
+      dataAttrs += ` data-mode="${mode}"`;
       dataAttrs += ` data-end-date="${endDate}"`;
       dataAttrs += ` data-end-time="${endTime}"`;
+      durations.forEach(([unit, value]) => {
+        if (value !== '0') dataAttrs += ` data-duration-${unit}="${value}"`;
+      });
       dataAttrs += ` data-timezone="${timezone}"`;
       dataAttrs += ` data-show-days="${showDays}"`;
       dataAttrs += ` data-show-hours="${showHours}"`;
       dataAttrs += ` data-show-minutes="${showMinutes}"`;
       dataAttrs += ` data-show-seconds="${showSeconds}"`;
       if (redirect) dataAttrs += ` data-redirect="${redirect}"`;
+      if (hideIds) dataAttrs += ` data-hide-ids="${hideIds}"`;
+      if (showIds) dataAttrs += ` data-show-ids="${showIds}"`;
+      if (openPopup) dataAttrs += ` data-open-popup="${openPopup}"`;
       dataAttrs += ` data-number-bg="${numberBg}"`;
       dataAttrs += ` data-number-color="${numberColor}"`;
       dataAttrs += ` data-label-color="${labelColor}"`;
@@ -4016,8 +5554,11 @@
         </div>
       `).join('');
 
+      // Build ID attribute for show-hide targeting and evergreen storage
+      const idAttr = elementId ? ` id="${elementId}"` : '';
+
       this.outerHTML = `
-        <div ${dataAttrs} style="${buildStyle(wrapperStyles)}">
+        <div${idAttr} ${dataAttrs} style="${buildStyle(wrapperStyles)}">
           <div class="elCountdownRow" style="${buildStyle(rowStyles)}">
             ${unitsHtml}
           </div>
@@ -4040,8 +5581,8 @@
    */
   class CFCheckoutPlaceholder extends CFElement {
     render() {
-      const width = attr(this, "width", "100%");
-      const minHeight = attr(this, "min-height", "400px");
+      const width = attr(this, "width");
+      const minHeight = attr(this, "min-height");
       const mt = attr(this, "mt");
 
       const containerStyles = {
@@ -4089,8 +5630,8 @@
    */
   class CFOrderSummaryPlaceholder extends CFElement {
     render() {
-      const width = attr(this, "width", "100%");
-      const minHeight = attr(this, "min-height", "200px");
+      const width = attr(this, "width");
+      const minHeight = attr(this, "min-height");
       const mt = attr(this, "mt");
 
       const containerStyles = {
@@ -4138,8 +5679,8 @@
    */
   class CFConfirmationPlaceholder extends CFElement {
     render() {
-      const width = attr(this, "width", "100%");
-      const minHeight = attr(this, "min-height", "300px");
+      const width = attr(this, "width");
+      const minHeight = attr(this, "min-height");
       const mt = attr(this, "mt");
 
       const containerStyles = {
@@ -4201,6 +5742,7 @@
     "cf-textarea": CFTextarea,
     "cf-select": CFSelect,
     "cf-checkbox": CFCheckbox,
+    "cf-radio-group": CFRadioGroup,
     "cf-bullet-list": CFBulletList,
     "cf-progress-bar": CFProgressBar,
     "cf-video-popup": CFVideoPopup,
@@ -4212,551 +5754,3090 @@
   };
 
   // Register elements
-  Object.entries(elements).forEach(([name, constructor]) => {
-    if (!customElements.get(name)) {
-      customElements.define(name, constructor);
-    }
-  });
+  if (isBrowser && window.customElements) {
+    Object.entries(elements).forEach(([name, constructor]) => {
+      if (!customElements.get(name)) {
+        customElements.define(name, constructor);
+      }
+    });
+  }
 
   // ==========================================================================
-  // ANIMATIONS - Apply animate.css animations to elements
+  // SERVER-SIDE RENDERING - renderToString without a DOM
   // ==========================================================================
 
-  // Map ClickFunnels animation names to animate.css classes
-  const ANIMATION_MAP = {
-    // Entrance animations
-    'fade-in': 'fadeIn',
-    'glide-in': 'fadeInUp',
-    'slide-in': 'slideInLeft',
-    'bounce-in': 'bounceIn',
-    'expand-in': 'zoomIn',
-    'fold-in': 'fadeInDown',
-    'puff-in': 'zoomInUp',
-    'spin-in': 'rotateIn',
-    'flip-in': 'flipInX',
-    'turn-in': 'rotateInDownLeft',
-    'float-in': 'fadeInUp',
-    'reveal': 'fadeIn',
+  /**
+   * Render a parsed node leaf-first, the same order initFunnelWind uses:
+   * children are rendered before their parent reads its content
+   */
+  function renderMarkupNode(node) {
+    if (node.nodeType !== 1) return node.raw;
+
+    const content = serializeRendered(node.childNodes);
+    const Component = elements[node.tagName];
+    if (!Component) {
+      node.innerHTML = content;
+      return node.outerHTML;
+    }
 
-    // Looping/attention animations (using subtle custom versions)
-    'blink': 'flash',
-    'rocking': 'subtleSwing',
-    'bouncing': 'subtleBounce',
-    'wooble': 'subtleWobble',
-    'elevate': 'subtlePulse',
-    'shake': 'shakeX',
-    'pulse': 'subtlePulse',
-    'tada': 'tada',
-    'jello': 'jello',
-    'heartbeat': 'heartBeat',
-    'rubber-band': 'rubberBand',
-  };
+    const host = new MarkupElement(node.tagName, { ...node.attributes });
+    host.innerHTML = content;
+    Component.prototype.render.call(host);
+    return host.outerHTML;
+  }
 
-  // Load animate.css from CDN and inject custom subtle animations
-  function loadAnimateCSS() {
-    if (document.querySelector('link[href*="animate.css"]')) {
-      injectCustomAnimations();
-      return Promise.resolve();
+  function serializeRendered(nodes) {
+    return nodes.map(renderMarkupNode).join("");
+  }
+
+  /**
+   * Render cf-* markup to ClickFunnels HTML without document, HTMLElement or
+   * requestAnimationFrame. Uses the same render() code as the browser.
+   *
+   * Styleguide and brand assets are applied only for the duration of the call,
+   * so concurrent page builds don't leak into each other or the live page.
+   * Styleguide CSS is not included - use StyleguideManager.generateCSS().
+   *
+   * @param {string} markup - cf-* source markup
+   * @param {Object} options - { styleguide, brandAssets }
+   * @returns {string} - Rendered HTML
+   */
+  function renderToString(markup, options = {}) {
+    const { styleguide = null, brandAssets = null } = options;
+    const previousStyleguide = styleguideManager.data;
+    const previousBrandAssets = brandAssetsManager.data;
+
+    if (styleguide) styleguideManager.data = styleguide;
+    if (brandAssets) brandAssetsManager.data = brandAssets;
+
+    try {
+      return serializeRendered(parseMarkup(markup));
+    } finally {
+      styleguideManager.data = previousStyleguide;
+      brandAssetsManager.data = previousBrandAssets;
     }
+  }
 
-    return new Promise((resolve, reject) => {
-      const link = document.createElement('link');
-      link.rel = 'stylesheet';
-      link.href = 'https://cdnjs.cloudflare.com/ajax/libs/animate.css/4.1.1/animate.min.css';
-      link.onload = () => {
-        injectCustomAnimations();
-        resolve();
-      };
-      link.onerror = reject;
-      document.head.appendChild(link);
+  // ==========================================================================
+  // RENDERED OUTPUT HELPERS - Work on live DOM elements and parsed markup alike
+  // ==========================================================================
+
+  /**
+   * Accept a DOM element, MarkupElement or HTML string and return an element
+   * whose children can be walked
+   */
+  function toRootElement(root) {
+    if (typeof root === "string") {
+      const fragment = new MarkupElement("#fragment");
+      fragment.innerHTML = root;
+      return fragment;
+    }
+    if (root) return root;
+    return isBrowser ? document.body : null;
+  }
+
+  function tagNameOf(el) {
+    return el.tagName.toLowerCase();
+  }
+
+  function childElements(el) {
+    return Array.from(el.children || []);
+  }
+
+  /**
+   * [name, value] pairs for every attribute, in source order
+   */
+  function attributeEntries(el) {
+    if (el instanceof MarkupElement) return Object.entries(el.attributes);
+    return Array.from(el.attributes).map((a) => [a.name, a.value]);
+  }
+
+  /**
+   * Match an element against a simple selector list: "tag", ".class", "tag.class"
+   */
+  function matchesSimple(el, selectorList) {
+    const classes = (el.getAttribute("class") || "").split(/\s+/);
+    return selectorList.split(",").some((selector) => {
+      const [tag, ...classNames] = selector.trim().split(".");
+      if (tag && tag !== tagNameOf(el)) return false;
+      return classNames.every((name) => classes.includes(name));
     });
   }
 
-  // Inject custom subtle animation keyframes
-  function injectCustomAnimations() {
-    if (document.getElementById('funnelwind-custom-animations')) return;
+  /**
+   * Depth-first search for the first descendant matching a simple selector
+   */
+  function findFirst(el, selectorList) {
+    for (const child of childElements(el)) {
+      if (matchesSimple(child, selectorList)) return child;
+      const found = findFirst(child, selectorList);
+      if (found) return found;
+    }
+    return null;
+  }
 
-    const style = document.createElement('style');
-    style.id = 'funnelwind-custom-animations';
-    style.textContent = `
-      /* Subtle wobble - less rotation than default */
-      @keyframes subtleWobble {
-        0%, 100% { transform: translateX(0); }
-        15% { transform: translateX(-3px) rotate(-1deg); }
-        30% { transform: translateX(2px) rotate(0.5deg); }
-        45% { transform: translateX(-2px) rotate(-0.5deg); }
-        60% { transform: translateX(1px) rotate(0.25deg); }
-        75% { transform: translateX(-1px) rotate(-0.25deg); }
-      }
-      .animate__subtleWobble {
-        animation-name: subtleWobble;
+  /**
+   * Closest descendants carrying a data-type, without crossing another one
+   */
+  function typedChildren(el) {
+    const found = [];
+    childElements(el).forEach((child) => {
+      if (child.getAttribute("data-type")) {
+        found.push(child);
+      } else {
+        found.push(...typedChildren(child));
       }
+    });
+    return found;
+  }
 
-      /* Subtle bounce - less dramatic vertical movement */
-      @keyframes subtleBounce {
-        0%, 20%, 53%, 100% {
-          animation-timing-function: cubic-bezier(0.215, 0.61, 0.355, 1);
-          transform: translateY(0);
+  /**
+   * Parse an inline style attribute into an object (semicolons inside url() are kept)
+   */
+  function parseStyle(styleText) {
+    const style = {};
+    (styleText || "").split(/;(?![^(]*\))/).forEach((declaration) => {
+      const colon = declaration.indexOf(":");
+      if (colon === -1) return;
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim();
+      if (property && value) style[property] = value;
+    });
+    return style;
+  }
+
+  function camelCase(name) {
+    return name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+  }
+
+  /**
+   * Convert a data attribute string to a JSON value ("true" -> true, "12" -> 12)
+   */
+  function coerceValue(value) {
+    if (value === "true") return true;
+    if (value === "false") return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  }
+
+  // ==========================================================================
+  // PAGETREE EXPORT - Rendered output to ClickFunnels pagetree JSON
+  // ==========================================================================
+
+  /**
+   * How each rendered data-type maps to a pagetree node
+   *   tag       - cf-* element that renders this data-type
+   *   type      - Pagetree type when it differs from data-type (placeholders)
+   *   container - Children are the nested data-type elements
+   *   text      - Children are the rich text of the first inner element
+   *   selectors - Pagetree selector => simple selector for the inner element
+   */
+  const PAGETREE_TYPES = {
+    ContentNode: { tag: "cf-page", container: true },
+    "SectionContainer/V1": { tag: "cf-section", container: true },
+    "RowContainer/V1": { tag: "cf-row", container: true },
+    "ColContainer/V1": { tag: "cf-col", container: true },
+    "FlexContainer/V1": { tag: "cf-flex", container: true },
+    "ModalContainer/V1": {
+      tag: "cf-popup",
+      container: true,
+      selectors: { ".containerModal": ".cf-popup-modal" },
+    },
+    "Headline/V1": {
+      tag: "cf-headline",
+      text: true,
+      selectors: { ".elHeadline": "h1,h2,h3,h4,h5,h6,span,p" },
+    },
+    "SubHeadline/V1": {
+      tag: "cf-subheadline",
+      text: true,
+      selectors: { ".elSubheadline": "h1,h2,h3,h4,h5,h6,span,p" },
+    },
+    "Paragraph/V1": { tag: "cf-paragraph", text: true, selectors: { ".elParagraph": "p" } },
+    "Button/V1": { tag: "cf-button", selectors: { ".elButton": "a" } },
+    "Image/V2": { tag: "cf-image", selectors: { ".elImage": "img" } },
+    "Icon/V1": { tag: "cf-icon", selectors: { ".iconElement": "i" } },
+    "Video/V1": { tag: "cf-video", selectors: { ".elVideoWrapper": "div" } },
+    "Divider/V1": { tag: "cf-divider", selectors: { ".elDivider": "div" } },
+    "Input/V1": { tag: "cf-input", selectors: { ".elInput": "input" } },
+    "TextArea/V1": { tag: "cf-textarea", selectors: { ".elTextarea": "textarea" } },
+    "SelectBox/V1": { tag: "cf-select", selectors: { ".elSelect": "select" } },
+    "Checkbox/V1": { tag: "cf-checkbox", selectors: { ".elCheckbox": "label" } },
+    "RadioGroup/V1": { tag: "cf-radio-group" },
+    "BulletList/V1": { tag: "cf-bullet-list", selectors: { ".elBulletList": "ul" } },
+    "ProgressBar/V1": {
+      tag: "cf-progress-bar",
+      selectors: { ".progress": ".progress", ".progress-bar": ".progress-bar" },
+    },
+    "VideoPopup/V1": { tag: "cf-video-popup", selectors: { ".elImage": "img.elImage" } },
+    "Countdown/V1": {
+      tag: "cf-countdown",
+      selectors: {
+        ".elCountdownAmountContainer": ".elCountdownAmountContainer",
+        ".elCountdownAmount": ".elCountdownAmount",
+        ".elCountdownPeriod": ".elCountdownPeriod",
+      },
+    },
+    CheckoutPlaceholder: { tag: "cf-checkout-placeholder", type: "Checkout/V2" },
+    OrderSummaryPlaceholder: {
+      tag: "cf-order-summary-placeholder",
+      type: "CheckoutOrderSummary/V1",
+    },
+    ConfirmationPlaceholder: {
+      tag: "cf-confirmation-placeholder",
+      type: "OrderConfirmation/V1",
+    },
+  };
+
+  // Data attributes ClickFunnels keeps on the node itself rather than in params
+  const PAGETREE_ATTR_PREFIXES = [
+    "data-paint-colors",
+    "data-style-guide-",
+    "data-animation-",
+    "data-skip-animation-settings",
+  ];
+
+  // Page-level code is URI-encoded by CFPage
+  const ENCODED_PARAMS = ["data-header-code", "data-footer-code", "data-custom-css"];
+
+  // Inline styles written by the animation runtime, not by the component
+  const RUNTIME_STYLE_PROPERTIES = ["opacity", "animation-timing-function", "--animate-duration"];
+
+  const ID_CHARS = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  const FRACTIONAL_DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+  function generateNodeId() {
+    let id = "";
+    for (let i = 0; i < 6; i++) {
+      id += ID_CHARS[Math.floor(Math.random() * ID_CHARS.length)];
+    }
+    return id;
+  }
+
+  /**
+   * Sortable sibling keys in the fractional-indexing format ClickFunnels uses:
+   * a0..az, then b00..bzz
+   */
+  function fractionalIndex(position) {
+    const base = FRACTIONAL_DIGITS.length;
+    if (position < base) return `a${FRACTIONAL_DIGITS[position]}`;
+    const offset = position - base;
+    return `b${FRACTIONAL_DIGITS[Math.floor(offset / base) % base]}${FRACTIONAL_DIGITS[offset % base]}`;
+  }
+
+  /**
+   * Convert rich text (text, <b>, <a>, <br> ...) to pagetree child nodes
+   */
+  function richTextToPagetree(el) {
+    return Array.from(el.childNodes)
+      .map((child) => {
+        if (child.nodeType === 3) {
+          return child.textContent ? { type: "text", innerText: child.textContent } : null;
+        }
+        if (child.nodeType !== 1) return null;
+        const attrs = {};
+        attributeEntries(child).forEach(([name, value]) => {
+          attrs[name === "class" ? "className" : name] =
+            name === "style" ? parseStyle(value) : value;
+        });
+        const node = { type: tagNameOf(child), attrs };
+        const children = richTextToPagetree(child);
+        if (children.length) node.children = children;
+        return node;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Split an element's attributes into pagetree attrs and params
+   */
+  function pagetreeAttrsAndParams(el) {
+    const isAnimated = el.hasAttribute("data-animation-type");
+    const style = parseStyle(el.getAttribute("style"));
+    if (isAnimated) {
+      RUNTIME_STYLE_PROPERTIES.forEach((property) => delete style[property]);
+    }
+
+    const attrs = {};
+    const params = {};
+    const id = el.getAttribute("id");
+    const className = el.getAttribute("class");
+    if (id) attrs.id = id;
+    if (className) attrs.className = className;
+    if (Object.keys(style).length) attrs.style = style;
+
+    attributeEntries(el).forEach(([name, value]) => {
+      if (!name.startsWith("data-") || name === "data-type") return;
+      if (PAGETREE_ATTR_PREFIXES.some((prefix) => name.startsWith(prefix))) {
+        attrs[name] = value;
+      } else if (ENCODED_PARAMS.includes(name)) {
+        params[camelCase(name.slice(5))] = decodeURIComponent(value);
+      } else {
+        params[camelCase(name.slice(5))] = coerceValue(value);
+      }
+    });
+
+    return { attrs, params };
+  }
+
+  /**
+   * Convert one rendered data-type element (and its subtree) to a pagetree node
+   */
+  function elementToPagetree(el, parentId, position) {
+    const dataType = el.getAttribute("data-type");
+    const spec = PAGETREE_TYPES[dataType] || {};
+    const { attrs, params } = pagetreeAttrsAndParams(el);
+    const node = {
+      type: spec.type || dataType,
+      id: generateNodeId(),
+      version: 0,
+      parentId,
+      fractionalIndex: fractionalIndex(position),
+      attrs,
+      params,
+    };
+
+    if (spec.selectors) {
+      const selectors = {};
+      Object.entries(spec.selectors).forEach(([selector, target]) => {
+        const inner = findFirst(el, target);
+        const style = inner ? parseStyle(inner.getAttribute("style")) : {};
+        if (Object.keys(style).length) selectors[selector] = style;
+      });
+      if (Object.keys(selectors).length) node.selectors = selectors;
+    }
+
+    if (spec.container) {
+      const children = typedChildren(el);
+      if (dataType === "ColContainer/V1") {
+        // The column's inner box carries padding/background; elements live in it
+        params.mdWidth = params.span;
+        const inner = findFirst(el, ".col-inner");
+        const innerSettings = inner
+          ? pagetreeAttrsAndParams(inner)
+          : { attrs: {}, params: {} };
+        const colInner = {
+          type: "ColInner/V1",
+          id: generateNodeId(),
+          version: 0,
+          parentId: node.id,
+          fractionalIndex: fractionalIndex(0),
+          attrs: innerSettings.attrs,
+          params: innerSettings.params,
+        };
+        colInner.children = children.map((child, i) =>
+          elementToPagetree(child, colInner.id, i)
+        );
+        node.children = [colInner];
+      } else {
+        node.children = children
+          .filter((child) => child.getAttribute("data-type") !== "ModalContainer/V1")
+          .map((child, i) => elementToPagetree(child, node.id, i));
+      }
+    } else if (spec.text) {
+      const inner = findFirst(el, spec.selectors[Object.keys(spec.selectors)[0]]);
+      // The icon is a setting (data-icon), not part of the text
+      const icon = el.getAttribute("data-icon");
+      const text = inner
+        ? richTextToPagetree(inner).filter(
+            (child) => !(icon && child.type === "i" && child.attrs.className === icon)
+          )
+        : [];
+      node.children = [
+        {
+          type: "ContentEditableNode",
+          attrs: { "data-align-selector": Object.keys(spec.selectors)[0] },
+          children: text,
+        },
+      ];
+    } else if (dataType === "Button/V1") {
+      const link = findFirst(el, "a");
+      const mainText = link ? findFirst(link, "span") : null;
+      if (mainText) params.text = mainText.textContent.trim();
+    } else if (dataType === "BulletList/V1") {
+      const list = findFirst(el, "ul");
+      node.children = (list ? childElements(list) : []).map((item) => {
+        const text = findFirst(item, "span");
+        return {
+          type: "li",
+          children: [
+            {
+              type: "ContentEditableNode",
+              children: text ? richTextToPagetree(text) : [],
+            },
+          ],
+        };
+      });
+    } else if (dataType === "Checkbox/V1") {
+      const label = findFirst(el, "label");
+      const spans = label ? childElements(label).filter((c) => tagNameOf(c) === "span") : [];
+      const text = spans[spans.length - 1];
+      if (text) params.label = text.innerHTML.trim();
+    } else if (dataType === "SelectBox/V1") {
+      const select = findFirst(el, "select");
+      params.options = (select ? childElements(select) : [])
+        .filter((option) => tagNameOf(option) === "option" && option.getAttribute("value") !== "")
+        .map((option) => {
+          const exported = {
+            label: option.textContent.trim(),
+            value: option.getAttribute("value") !== null ? option.getAttribute("value") : option.textContent.trim(),
+          };
+          if (option.getAttribute("selected") !== null) exported.selected = true;
+          return exported;
+        });
+    } else if (dataType === "RadioGroup/V1") {
+      // The selected option is already in params.value (data-value)
+      params.options = Array.from(el.getElementsByTagName("label")).map((label) => {
+        const input = findFirst(label, "input");
+        const spans = childElements(label).filter((c) => tagNameOf(c) === "span");
+        const text = spans[spans.length - 1];
+        return {
+          label: text ? text.textContent.trim() : "",
+          value: input ? input.getAttribute("value") : "",
+        };
+      });
+    }
+
+    return node;
+  }
+
+  /**
+   * Collect every popup in the rendered output, wherever it was placed
+   */
+  function findPopups(el) {
+    const popups = [];
+    childElements(el).forEach((child) => {
+      if (child.getAttribute("data-type") === "ModalContainer/V1") {
+        popups.push(child);
+      } else {
+        popups.push(...findPopups(child));
+      }
+    });
+    return popups;
+  }
+
+  /**
+   * Export rendered FunnelWind output as ClickFunnels pagetree JSON
+   *
+   * @param {Element|string} root - Rendered container or HTML (default: document.body)
+   * @returns {Object} - { version, content, popup, settings }
+   */
+  function exportPagetree(root) {
+    const rootEl = toRootElement(root);
+    if (!rootEl) return null;
+
+    const isContentNode = rootEl.getAttribute && rootEl.getAttribute("data-type") === "ContentNode";
+    const contentEl = isContentNode ? rootEl : findFirst(rootEl, "div.content-node");
+
+    let content;
+    if (contentEl) {
+      content = elementToPagetree(contentEl, null, 0);
+      delete content.parentId;
+      delete content.fractionalIndex;
+    } else {
+      // Bare sections without a cf-page still export under an empty ContentNode
+      content = { type: "ContentNode", id: generateNodeId(), version: 0, attrs: {}, params: {} };
+      content.children = typedChildren(rootEl)
+        .filter((child) => child.getAttribute("data-type") !== "ModalContainer/V1")
+        .map((child, i) => elementToPagetree(child, content.id, i));
+    }
+
+    const popupEl = findPopups(rootEl)[0];
+    const popup = popupEl ? elementToPagetree(popupEl, null, 0) : null;
+    if (popup) {
+      delete popup.parentId;
+      delete popup.fractionalIndex;
+    }
+
+    // Page settings live on the ContentNode params; lift them to settings
+    const settings = {};
+    ["headerCode", "footerCode", "customCss", "font", "fontWeight", "textColor", "linkColor"].forEach(
+      (key) => {
+        if (content.params[key] !== undefined) settings[key] = content.params[key];
+      }
+    );
+
+    return { version: 1, content, popup, settings };
+  }
+
+  // ==========================================================================
+  // PAGETREE IMPORT - Pagetree JSON back to cf-* source markup
+  // ==========================================================================
+
+  // Pagetree params whose cf-* attribute has a different name
+  const IMPORT_PARAM_RENAMES = {
+    ContentNode: { textColor: "color" },
+    "SectionContainer/V1": { videoBgUrl: "video-bg" },
+    "ColContainer/V1": { colDirection: "align" },
+    "ModalContainer/V1": {
+      popupWidth: "width",
+      popupOverlay: "overlay",
+      popupRounded: "rounded",
+      popupBorder: "border",
+      popupBorderColor: "border-color",
+      popupShadow: "shadow",
+    },
+    "Input/V1": { inputType: "type", inputName: "name" },
+    "TextArea/V1": { textareaName: "name" },
+    "SelectBox/V1": { selectName: "name", selectType: "type" },
+    "Video/V1": { videoUrl: "url" },
+    "VideoPopup/V1": { videoUrl: "url" },
+  };
+
+  // Params the components derive from other attributes - never written back
+  const IMPORT_DERIVED_PARAMS = [
+    "colorExplicit",
+    "iconColorExplicit",
+    "textColorExplicit",
+    "separateCorners",
+    "videoType",
+    "videoBgType",
+    "videoBgThumbnail",
+    "elbuttontype",
+    "skipShadowSettings",
+    "mdWidth",
+    "href",
+  ];
+
+  // Params that become element content instead of attributes
+  const IMPORT_CONTENT_PARAMS = {
+    "Button/V1": "text",
+    "Checkbox/V1": "label",
+    "SelectBox/V1": "options",
+    "RadioGroup/V1": "options",
+  };
+
+  // Styleguide and animation attrs => cf-* attribute
+  const IMPORT_ATTR_RENAMES = {
+    "data-paint-colors": "paint",
+    "data-style-guide-shadow": "shadow",
+    "data-style-guide-border": "border",
+    "data-style-guide-corner": "corner",
+    "data-style-guide-button": "style",
+    "data-animation-type": "animation",
+    "data-animation-time": "animation-time",
+    "data-animation-delay": "animation-delay",
+    "data-animation-trigger": "animation-trigger",
+    "data-animation-timing-function": "animation-timing",
+    "data-animation-direction": "animation-direction",
+    "data-animation-once": "animation-once",
+    "data-animation-loop": "animation-loop",
+  };
+
+  /**
+   * Values the components fall back to anyway - left out for idiomatic markup.
+   * These are the schema defaults, plus cf-page's color, which falls back to
+   * the text-color default
+   */
+  function importDefaults(tag) {
+    const defaults = {};
+    const schema = ELEMENT_SCHEMA[tag];
+    if (schema) {
+      Object.entries(schema.attributes).forEach(([name, spec]) => {
+        if (spec.default !== undefined) defaults[name] = spec.default;
+      });
+    }
+    if (tag === "cf-page") defaults.color = defaults["text-color"];
+    return defaults;
+  }
+
+  // Tags whose box styling (bg, shadow, radius, border) only exists as inline style
+  const IMPORT_BOX_STYLE_TAGS = ["cf-page", "cf-section", "cf-row", "cf-col", "cf-flex"];
+
+  function kebabCase(name) {
+    return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+  }
+
+  /**
+   * Map a resolved value back to its preset name (e.g. "16px" -> "lg")
+   */
+  function reversePreset(value, presets) {
+    const match = Object.entries(presets).find(([, preset]) => preset === value);
+    return match ? match[0] : value;
+  }
+
+  function isZero(value) {
+    return /^0(px|em|%)?$/.test(String(value).trim());
+  }
+
+  /**
+   * Fill attributes that are only recorded as inline styles (spacing, boxes)
+   */
+  function importStyleAttributes(attributes, style, tag, isColInner) {
+    const setIfMissing = (name, value) => {
+      if (value === undefined || attributes[name] !== undefined) return;
+      attributes[name] = value;
+    };
+    // Components with p write it before px, so padding-top ahead of
+    // padding-left means the source used p (pt/pb overriding it). Writing
+    // px instead would render the same values in a different order.
+    const keys = Object.keys(style);
+    const hasP = !!(ELEMENT_SCHEMA[tag] && ELEMENT_SCHEMA[tag].attributes.p);
+    const fromP = hasP && style["padding-left"] !== undefined &&
+      style["padding-left"] === style["padding-right"] &&
+      keys.indexOf("padding-top") !== -1 && keys.indexOf("padding-top") < keys.indexOf("padding-left");
+    if (fromP) {
+      const p = style["padding-left"];
+      setIfMissing("p", p);
+      if (style["padding-top"] !== p) setIfMissing("pt", style["padding-top"]);
+      if (style["padding-bottom"] !== p) setIfMissing("pb", style["padding-bottom"]);
+    } else {
+      setIfMissing("pt", style["padding-top"]);
+      setIfMissing("pb", style["padding-bottom"]);
+      if (style["padding-left"] === style["padding-right"]) {
+        setIfMissing("px", style["padding-left"]);
+      }
+    }
+    setIfMissing("mt", style["margin-top"]);
+    if (isColInner && style["margin-left"] === style["margin-right"]) {
+      setIfMissing("mx", style["margin-left"]);
+    }
+
+    if (!IMPORT_BOX_STYLE_TAGS.includes(tag)) return;
+
+    const background = style.background;
+    if (background && background.includes("gradient(")) {
+      setIfMissing("gradient", background);
+    }
+    if (!attributes.paint) setIfMissing("bg", style["background-color"]);
+    if (style["box-shadow"]) setIfMissing("shadow", reversePreset(style["box-shadow"], SHADOWS));
+    if (style["border-radius"]) setIfMissing("rounded", reversePreset(style["border-radius"], RADIUS));
+    [["top-left", "tl"], ["top-right", "tr"], ["bottom-left", "bl"], ["bottom-right", "br"]].forEach(
+      ([corner, suffix]) => {
+        const radius = style[`border-${corner}-radius`];
+        if (radius) setIfMissing(`rounded-${suffix}`, reversePreset(radius, RADIUS));
+      }
+    );
+    if (style["border-width"] && !isZero(style["border-width"])) {
+      setIfMissing("border", style["border-width"].replace(/px$/, ""));
+      if (style["border-style"] !== "solid") setIfMissing("border-style", style["border-style"]);
+    }
+    setIfMissing("border-color", style["border-color"]);
+  }
+
+  /**
+   * Collect cf-* attributes for a pagetree node from its params, attrs and styles
+   */
+  function importAttributes(node, tag, colInner) {
+    const attributes = {};
+    const renames = IMPORT_PARAM_RENAMES[node.type] || {};
+    const attrs = node.attrs || {};
+    const params = node.params || {};
+
+    if (attrs.id) attributes["element-id"] = attrs.id;
+
+    const addParams = (source) => {
+      Object.entries(source).forEach(([key, value]) => {
+        if (value === null || value === undefined) return;
+        if (IMPORT_DERIVED_PARAMS.includes(key)) return;
+        if (IMPORT_CONTENT_PARAMS[node.type] === key) return;
+        // Text colors are only authored when explicit; otherwise the styleguide set them
+        if (key === "color" && !source.colorExplicit && /Headline|Paragraph|Icon/.test(node.type)) return;
+        if (key === "iconColor" && node.type === "BulletList/V1" && !source.iconColorExplicit) return;
+        if (key === "textColor" && node.type === "BulletList/V1" && !source.textColorExplicit) return;
+        if (key === "linkColor" && node.type !== "ContentNode") return;
+        if (key === "font" && node.type !== "ContentNode" && !/Headline|Paragraph/.test(node.type)) return;
+
+        const name = renames[key] || kebabCase(key);
+        let text = String(value);
+        if (key === "thumbnail" && text === videoThumbnail(parseVideoUrl(source.videoUrl))) {
+          // Generated from the video URL
+          return;
+        } else if (key === "bgStyle") {
+          // Rendered as the CSS class name; cover-center is the default
+          if (text === "bgCoverCenter") return;
+          text = reversePreset(text, BG_STYLE_CLASSES);
+        } else if (["headerCode", "footerCode", "customCss"].includes(key)) {
+          attributes[{ headerCode: "header-code", footerCode: "footer-code", customCss: "css" }[key]] = text;
+          return;
+        }
+        attributes[name] = text;
+      });
+    };
+
+    addParams(params);
+    if (colInner) addParams(colInner.params || {});
+
+    [attrs, colInner ? colInner.attrs || {} : {}].forEach((source) => {
+      Object.entries(source).forEach(([key, value]) => {
+        const name = IMPORT_ATTR_RENAMES[key];
+        if (name) attributes[name] = String(value);
+      });
+    });
+
+    // TextArea stores its height without a unit
+    if (node.type === "TextArea/V1" && /^\d+$/.test(attributes.height || "")) {
+      attributes.height += "px";
+    }
+    // Buttons derive href from the action; only plain links keep it
+    if (node.type === "Button/V1" && (!params.action || params.action === "link")) {
+      if (params.href && params.href !== "#") attributes.href = String(params.href);
+    }
+
+    importStyleAttributes(attributes, (attrs && attrs.style) || {}, tag, false);
+    if (colInner) importStyleAttributes(attributes, colInner.attrs?.style || {}, tag, true);
+
+    // Drop values equal to the component defaults
+    const defaults = importDefaults(tag);
+    Object.keys(attributes).forEach((name) => {
+      if (defaults[name] === attributes[name]) delete attributes[name];
+      // Zero spacing is only worth writing when it overrides a non-zero default
+      const isSpacing = ["pt", "pb", "px", "mt"].includes(name);
+      const zeroDefault = defaults[name] === undefined || isZero(defaults[name]);
+      if (isSpacing && zeroDefault && isZero(attributes[name])) {
+        delete attributes[name];
+      }
+    });
+
+    return attributes;
+  }
+
+  function escapeText(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Convert pagetree rich text children back to HTML
+   */
+  function pagetreeRichTextToHTML(children) {
+    return (children || [])
+      .map((child) => {
+        if (child.type === "text") return escapeText(child.innerText || "");
+        if (child.type === "ContentEditableNode") return pagetreeRichTextToHTML(child.children);
+        const attrs = Object.entries(child.attrs || {})
+          .map(([name, value]) => {
+            const attrName = name === "className" ? "class" : name;
+            const attrValue =
+              value && typeof value === "object" ? buildStyle(value) : value;
+            return ` ${attrName}="${escapeAttribute(attrValue)}"`;
+          })
+          .join("");
+        if (VOID_TAGS.has(child.type)) return `<${child.type}${attrs}>`;
+        return `<${child.type}${attrs}>${pagetreeRichTextToHTML(child.children)}</${child.type}>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Lookup table from pagetree type to cf-* tag
+   */
+  function importTagFor(type) {
+    const entry = Object.entries(PAGETREE_TYPES).find(
+      ([dataType, spec]) => (spec.type || dataType) === type
+    );
+    return entry ? entry[1].tag : null;
+  }
+
+  /**
+   * Convert a pagetree node to indented cf-* markup
+   */
+  function pagetreeNodeToMarkup(node, depth, extraChildren = []) {
+    const indent = "  ".repeat(depth);
+    const tag = importTagFor(node.type);
+    if (!tag) return `${indent}<!-- Unsupported pagetree type: ${node.type} -->`;
+
+    const spec = PAGETREE_TYPES[Object.keys(PAGETREE_TYPES).find(
+      (dataType) => PAGETREE_TYPES[dataType].tag === tag
+    )];
+    const children = node.children || [];
+    const colInner =
+      node.type === "ColContainer/V1"
+        ? children.find((child) => child.type === "ColInner/V1")
+        : null;
+
+    const attributes = importAttributes(node, tag, colInner);
+    const attrString = Object.entries(attributes)
+      .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+      .join("");
+    const params = node.params || {};
+
+    let inline = null;
+    if (spec.text) {
+      inline = pagetreeRichTextToHTML(children);
+    } else if (node.type === "Button/V1") {
+      inline = escapeText(params.text || "");
+    } else if (node.type === "Checkbox/V1") {
+      inline = params.label || "";
+    }
+    if (inline !== null) return `${indent}<${tag}${attrString}>${inline}</${tag}>`;
+
+    let blockChildren = [];
+    if (spec.container) {
+      const contentChildren = colInner ? colInner.children || [] : children;
+      blockChildren = contentChildren
+        .concat(extraChildren)
+        .map((child) => pagetreeNodeToMarkup(child, depth + 1));
+    } else if (node.type === "BulletList/V1") {
+      blockChildren = children.map(
+        (item) => `${indent}  <li>${pagetreeRichTextToHTML(item.children)}</li>`
+      );
+    } else if (node.type === "SelectBox/V1" || node.type === "RadioGroup/V1") {
+      blockChildren = (params.options || []).map(
+        (option) =>
+          `${indent}  <cf-option value="${escapeAttribute(option.value)}"${option.selected ? ' selected="true"' : ""}>${escapeText(option.label)}</cf-option>`
+      );
+    }
+
+    if (!blockChildren.length) return `${indent}<${tag}${attrString}></${tag}>`;
+    return `${indent}<${tag}${attrString}>\n${blockChildren.join("\n")}\n${indent}</${tag}>`;
+  }
+
+  /**
+   * Regenerate cf-* source markup from ClickFunnels pagetree JSON
+   *
+   * Accepts the full pagetree ({ content, popup }), a single node, or a JSON
+   * string. The popup is placed at the end of the cf-page.
+   *
+   * @param {Object|string} json - Pagetree JSON
+   * @returns {string} - cf-* markup
+   */
+  function importPagetree(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (!data) return "";
+
+    if (data.content) {
+      const popups = data.popup ? [data.popup] : [];
+      return pagetreeNodeToMarkup(data.content, 0, popups);
+    }
+    return pagetreeNodeToMarkup(data, 0);
+  }
+
+  // ==========================================================================
+  // SERIALIZE - Rendered output back to cf-* source
+  // ==========================================================================
+
+  /**
+   * Reconstruct the minimal cf-* markup for rendered output, reading the data-*
+   * attributes each component writes (defaults are left out).
+   *
+   * Round-trip guarantee: for markup rendered by this library,
+   * renderToString(serialize(html)) produces the same HTML as html
+   * (whitespace between tags aside). Popups are written at the end of cf-page.
+   *
+   * @param {Element|string} root - Rendered element, container or HTML (default: document.body)
+   * @returns {string} - cf-* markup
+   */
+  function serialize(root) {
+    const rootEl = toRootElement(root);
+    if (!rootEl) return "";
+
+    const rootType = rootEl.getAttribute && rootEl.getAttribute("data-type");
+    const typed = rootType ? [rootEl] : typedChildren(rootEl);
+
+    return typed
+      .map((el) => {
+        const popups =
+          el.getAttribute("data-type") === "ContentNode"
+            ? findPopups(el).map((popup) => elementToPagetree(popup, null, 0))
+            : [];
+        return pagetreeNodeToMarkup(elementToPagetree(el, null, 0), 0, popups);
+      })
+      .join("\n");
+  }
+
+  // ==========================================================================
+  // RUNTIME CLEANUP - Track what init() attached so destroy() can undo it
+  // ==========================================================================
+
+  // element -> { feature: cleanup function }
+  const runtimeCleanups = new Map();
+
+  function isInitialized(el, feature) {
+    const features = runtimeCleanups.get(el);
+    return !!(features && features[feature]);
+  }
+
+  function onDestroy(el, feature, cleanup) {
+    if (!runtimeCleanups.has(el)) runtimeCleanups.set(el, {});
+    runtimeCleanups.get(el)[feature] = cleanup;
+  }
+
+  function isInRoot(root, el) {
+    return root === document || root === el || root.contains(el);
+  }
+
+  /**
+   * Run the cleanups of everything initialized inside nodes that were
+   * removed from the page (the previous output of a live re-render)
+   * @param {Node[]} nodes
+   */
+  function destroyRemoved(nodes) {
+    runtimeCleanups.forEach((features, el) => {
+      if (!nodes.some((node) => node === el || node.contains(el))) return;
+      Object.values(features).forEach((cleanup) => cleanup());
+      runtimeCleanups.delete(el);
+    });
+  }
+
+  // ==========================================================================
+  // ELEMENT TARGETING - element-id lists written as data-show-ids/data-hide-ids
+  // ==========================================================================
+
+  /**
+   * Elements for a comma-separated element-id list ("offer, bonus")
+   * @param {string} ids
+   * @returns {Element[]} Elements found on the page (missing ids are skipped)
+   */
+  function elementsByIds(ids) {
+    return splitIds(ids)
+      .map((id) => document.getElementById(id))
+      .filter(Boolean);
+  }
+
+  function splitIds(ids) {
+    return (ids || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+
+  // Inline display of hidden elements as rendered (e.g. flex on rows and
+  // cf-flex), put back when they are shown again
+  const renderedDisplays = new WeakMap();
+
+  /**
+   * Show or hide elements by inline display
+   * @returns {Function} Restores the previous inline display of each element
+   */
+  function setElementsVisible(elements, visible) {
+    const previous = elements.map((el) => el.style.display);
+    elements.forEach((el) => {
+      if (!visible) {
+        if (el.style.display !== 'none') renderedDisplays.set(el, el.style.display);
+        el.style.display = 'none';
+      } else if (el.style.display === 'none') {
+        el.style.display = renderedDisplays.get(el) || '';
+      }
+    });
+    return () => elements.forEach((el, i) => {
+      el.style.display = previous[i];
+    });
+  }
+
+  // ==========================================================================
+  // LINT - ClickFunnels-compatibility diagnostics for cf-* markup
+  // ==========================================================================
+
+  // Attributes every cf-* element may carry besides its schema
+  const LINT_GLOBAL_ATTRIBUTES = ["live"];
+
+  // CSS-style names LLMs tend to use instead of the real attribute
+  const LINT_ATTRIBUTE_ALIASES = {
+    id: "element-id",
+    background: "bg",
+    "background-color": "bg",
+    "padding-top": "pt",
+    "padding-bottom": "pb",
+    "margin-top": "mt",
+    "text-align": "align",
+    "line-height": "leading",
+    "font-weight": "weight",
+    "font-size": "size",
+    "border-radius": "rounded",
+    "box-shadow": "shadow",
+    "letter-spacing": "tracking",
+    "text-transform": "transform",
+  };
+
+  // New FontAwesome style names -> old prefix
+  const FONTAWESOME_PREFIXES = {
+    "fa-solid": "fas",
+    "fa-regular": "far",
+    "fa-light": "fal",
+    "fa-thin": "fat",
+    "fa-duotone": "fad",
+    "fa-brands": "fab",
+  };
+
+  // Old-format style classes an icon needs besides its fa-* name
+  const FONTAWESOME_STYLES = ["fa", "fas", "far", "fal", "fat", "fad", "fab"];
+
+  const LINT_LENGTH_PATTERN = /^-?\d*\.?\d+(px|em|rem|%|vh|vw)?$/;
+
+  function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  /**
+   * Closest schema attribute for an unknown name, if any is close enough
+   */
+  function suggestAttribute(name, attributes) {
+    const alias = LINT_ATTRIBUTE_ALIASES[name];
+    if (alias && attributes[alias]) return alias;
+
+    let best = null;
+    let bestDistance = 3;
+    Object.keys(attributes).forEach((candidate) => {
+      const distance = editDistance(name, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return name.length > 2 ? best : null;
+  }
+
+  /**
+   * Custom (non-preset) values accepted by preset attributes
+   */
+  function isCustomPresetValue(name, value) {
+    if (name === "shadow") return /\d/.test(value);
+    if (name === "weight" || name === "font-weight") return /^[1-9]00$/.test(value);
+    if (name === "aspect-ratio") return /^\d+(\.\d+)?\s*[/:]\s*\d+(\.\d+)?$/.test(value);
+    return LINT_LENGTH_PATTERN.test(value) || /^(calc|var|clamp)\(/.test(value);
+  }
+
+  /**
+   * Split a CSS value on commas outside parentheses
+   */
+  function splitTopLevel(value) {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+    for (const char of value) {
+      if (char === "(") depth++;
+      if (char === ")") depth--;
+      if (char === "," && depth === 0) {
+        parts.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+
+  /**
+   * Selector-style path from the lint root, e.g. "cf-section > cf-row > cf-col:nth-of-type(2)"
+   */
+  function lintSegment(el, parent) {
+    const tag = tagNameOf(el);
+    const sameTag = parent ? childElements(parent).filter((child) => tagNameOf(child) === tag) : [el];
+    return sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(el) + 1})` : tag;
+  }
+
+  function lintAttributes(el, tag, schema, report) {
+    const attributes = schema.attributes;
+
+    attributeEntries(el).forEach(([rawName, value]) => {
+      const name = rawName.toLowerCase();
+      if (attributes[name] || LINT_GLOBAL_ATTRIBUTES.includes(name) || name.startsWith("data-")) return;
+
+      if (name === "mb") {
+        report(name, "no-margin-bottom", "warning",
+          "ClickFunnels has no margin-bottom",
+          "Remove mb and space elements with mt on the element below");
+      } else if ((name === "pl" || name === "pr") && attributes.px) {
+        const other = el.getAttribute(name === "pl" ? "pr" : "pl");
+        const fix = other === null || other === value
+          ? `Use px="${value}" (horizontal padding is always equal on both sides)`
+          : "Use px (horizontal padding is always equal on both sides)";
+        report(name, "unified-padding", "warning", `${name} is not supported; padding left and right are unified`, fix);
+      } else {
+        const suggestion = suggestAttribute(name, attributes);
+        report(name, "unknown-attribute", "warning",
+          `Unknown attribute "${name}" on <${tag}> is ignored`,
+          suggestion ? `Use ${suggestion}="${value}"` : null);
+      }
+    });
+
+    Object.entries(attributes).forEach(([name, spec]) => {
+      const value = el.getAttribute(name);
+      if (value === null) return;
+
+      if (spec.type === "icon") {
+        const prefix = Object.keys(FONTAWESOME_PREFIXES).find((style) => value.split(/\s+/).includes(style));
+        const classes = value.split(/\s+/);
+        if (prefix) {
+          const fixed = value.replace(prefix, FONTAWESOME_PREFIXES[prefix]);
+          report(name, "fontawesome-format", "error",
+            `"${value}" uses the new FontAwesome format, which renders a broken icon`,
+            `Use ${name}="${fixed}"`);
+        } else if (classes.some((c) => c.startsWith("fa-")) && !classes.some((c) => FONTAWESOME_STYLES.includes(c))) {
+          report(name, "fontawesome-format", "error",
+            `"${value}" has no FontAwesome style class, so no icon is rendered`,
+            `Use ${name}="fas ${value}" (or far/fab)`);
+        }
+        return;
+      }
+
+      if (spec.type === "actions") {
+        parseExpiryActions(value).forEach(({ action, value: target }) => {
+          if (!spec.presets.includes(action)) {
+            report(name, "expiry-actions", "error",
+              `"${action}" is not an ${name} action`,
+              `Use one of: ${spec.presets.join(", ")}`);
+          } else if (!target) {
+            report(name, "expiry-actions", "error",
+              `The ${action} action in ${name} has no value`,
+              `Write it as "${action}: ${action === "redirect" ? "<url>" : "<element-ids>"}"`);
+          }
+        });
+        return;
+      }
+
+      // Styleguides can define their own paint themes
+      if (name === "paint" && !spec.presets.includes(value)) {
+        report(name, "invalid-preset", "warning",
+          `"${value}" is not a built-in paint theme`,
+          `Use one of: ${spec.presets.join(", ")}, or a theme your styleguide defines`);
+        return;
+      }
+
+      if (name === "shadow" && splitTopLevel(value).length > 1) {
+        report(name, "single-shadow", "warning",
+          "Only a single shadow is supported",
+          `Use shadow="${splitTopLevel(value)[0]}"`);
+        return;
+      }
+
+      if (name === "leading" && !spec.presets.includes(value) && !/^\d*\.?\d+%$/.test(value)) {
+        const ratio = parseFloat(value);
+        const fix = /^\d*\.?\d+$/.test(value)
+          ? `Use leading="${Math.round(ratio * 100)}%"`
+          : `Use a percentage or one of: ${spec.presets.join(", ")}`;
+        report(name, "leading-percentage", "warning", "Line heights must be percentages or presets", fix);
+        return;
+      }
+
+      if (spec.type === "enum" && !spec.presets.includes(value)) {
+        report(name, "invalid-preset", "error",
+          `"${value}" is not a valid ${name}`,
+          `Use one of: ${spec.presets.join(", ")}`);
+      } else if (spec.type === "preset" && !spec.presets.includes(value) && !isCustomPresetValue(name, value)) {
+        report(name, "invalid-preset", "error",
+          `"${value}" is neither a ${name} preset nor a custom value`,
+          `Use one of: ${spec.presets.join(", ")}, or a CSS value`);
+      }
+    });
+  }
+
+  /**
+   * Check cf-* source markup against the attribute schema and the
+   * ClickFunnels limitations listed in the header comment.
+   *
+   * Each diagnostic: { path, tag, attribute, rule, severity, message, fix }
+   * Rules: unknown-element, unknown-attribute, invalid-preset, fontawesome-format,
+   * single-shadow, no-margin-bottom, unified-padding, leading-percentage,
+   * expiry-actions
+   *
+   * @param {Element|string} rootOrMarkup - cf-* markup, or an element holding
+   *   unrendered (or live) cf-* elements (default: document.body)
+   * @returns {Object[]} - Diagnostics in document order
+   */
+  function lint(rootOrMarkup) {
+    const root = toRootElement(rootOrMarkup);
+    const diagnostics = [];
+    if (!root) return diagnostics;
+
+    const visit = (el, parent, parentPath) => {
+      const tag = tagNameOf(el);
+      const path = parentPath ? `${parentPath} > ${lintSegment(el, parent)}` : lintSegment(el, parent);
+
+      if (tag.startsWith("cf-")) {
+        const report = (attribute, rule, severity, message, fix) => {
+          diagnostics.push({ path, tag, attribute, rule, severity, message, fix });
+        };
+        const schema = ELEMENT_SCHEMA[tag];
+        if (schema) {
+          lintAttributes(el, tag, schema, report);
+        } else {
+          report(null, "unknown-element", "error", `<${tag}> is not a FunnelWind component`, null);
+        }
+      }
+
+      childElements(el).forEach((child) => visit(child, el, path));
+    };
+
+    if (typeof rootOrMarkup !== "string" && tagNameOf(root).startsWith("cf-")) {
+      visit(root, null, "");
+    } else {
+      childElements(root).forEach((child) => visit(child, root, ""));
+    }
+    return diagnostics;
+  }
+
+  // ==========================================================================
+  // STRUCTURE VALIDATION - Allowed nesting of layout containers
+  // ==========================================================================
+
+  // Layout containers and the tags allowed directly inside them; the first
+  // one is used when a missing container has to be added
+  const LAYOUT_CHILDREN = {
+    "cf-page": ["cf-section", "cf-popup"],
+    "cf-popup": ["cf-section"],
+    "cf-section": ["cf-row"],
+    "cf-row": ["cf-col"],
+  };
+
+  const LAYOUT_TAGS = ["cf-page", "cf-popup", "cf-section", "cf-row", "cf-col"];
+
+  function isAllowedChild(parentTag, childTag) {
+    if (LAYOUT_CHILDREN[parentTag]) return LAYOUT_CHILDREN[parentTag].includes(childTag);
+    // Elements (and flex containers) go in columns; flex holds elements only
+    if (parentTag === "cf-col") return !LAYOUT_TAGS.includes(childTag);
+    if (parentTag === "cf-flex") return !LAYOUT_TAGS.includes(childTag) && childTag !== "cf-flex";
+    return true;
+  }
+
+  /**
+   * Containers to add between parent and child, e.g. cf-section > [cf-row, cf-col] > cf-headline,
+   * or null when the child can't be placed below parent at all
+   */
+  function missingContainers(parentTag, childTag) {
+    const chain = [];
+    let tag = parentTag;
+    while (LAYOUT_CHILDREN[tag]) {
+      tag = LAYOUT_CHILDREN[tag][0];
+      chain.push(tag);
+      if (isAllowedChild(tag, childTag)) return chain;
+    }
+    return null;
+  }
+
+  function createElementLike(parent, tag) {
+    return parent instanceof MarkupElement ? new MarkupElement(tag) : parent.ownerDocument.createElement(tag);
+  }
+
+  /**
+   * Wrap consecutive orphans in the missing containers (outermost first)
+   */
+  function wrapOrphans(parent, orphans, chain) {
+    const outer = createElementLike(parent, chain[0]);
+    parent.insertBefore(outer, orphans[0]);
+    let inner = outer;
+    chain.slice(1).forEach((tag) => {
+      inner = inner.appendChild(createElementLike(parent, tag));
+    });
+    orphans.forEach((orphan) => inner.appendChild(orphan));
+  }
+
+  function columnSpan(col) {
+    return parseInt(attr(col, "span"), 10) || 0;
+  }
+
+  /**
+   * Check cf-* markup against the allowed nesting
+   * (cf-page > cf-section > cf-row > cf-col > elements, cf-flex inside cf-col,
+   * cf-popup > cf-section) and column spans per row. At the top level,
+   * elements are accepted as a snippet, but rows, columns and flex
+   * containers need a section.
+   *
+   * With repair, elements in the wrong container are wrapped in the missing
+   * ones (consecutive orphans share one wrapper). Elements that can't be
+   * fixed by wrapping, like a cf-section inside a cf-row, are only reported.
+   * Span overflows are reported, not changed.
+   *
+   * Diagnostics have the same shape as lint():
+   * { path, tag, attribute, rule, severity, message, fix, repaired }
+   * Rules: missing-container, misplaced-element, span-overflow
+   *
+   * @param {Element|string} rootOrMarkup - cf-* markup or an element holding unrendered cf-* elements
+   * @param {Object} options - { repair: false }
+   * @returns {Object} - { valid, diagnostics, markup } (markup only for string input)
+   */
+  function validateStructure(rootOrMarkup, options = {}) {
+    const { repair = false } = options;
+    const root = toRootElement(rootOrMarkup);
+    const diagnostics = [];
+    const repairs = [];
+
+    const report = (path, tag, attribute, rule, severity, message, fix, repaired = false) => {
+      diagnostics.push({ path, tag, attribute, rule, severity, message, fix, repaired });
+    };
+
+    // Consecutive orphans needing the same containers share one wrapper
+    const addOrphan = (group, parent, child, chain) => {
+      const key = chain.join(">");
+      const previous = childElements(parent)[childElements(parent).indexOf(child) - 1];
+      if (group && group.key === key && group.orphans[group.orphans.length - 1] === previous) {
+        group.orphans.push(child);
+        return group;
+      }
+      const next = { key, chain, orphans: [child] };
+      repairs.push({ parent, group: next });
+      return next;
+    };
+
+    const visit = (el, parent, parentPath) => {
+      const tag = tagNameOf(el);
+      const path = parentPath ? `${parentPath} > ${lintSegment(el, parent)}` : lintSegment(el, parent);
+      const children = childElements(el).filter((child) => tagNameOf(child).startsWith("cf-"));
+      const checkChildren = LAYOUT_CHILDREN[tag] || tag === "cf-col" || tag === "cf-flex";
+
+      if (tag === "cf-row") {
+        const total = children
+          .filter((child) => tagNameOf(child) === "cf-col")
+          .reduce((sum, col) => sum + columnSpan(col), 0);
+        if (total > 12) {
+          report(path, tag, "span", "span-overflow", "warning",
+            `Column spans add up to ${total} (max 12)`,
+            "Reduce the spans or move columns into a new cf-row");
+        }
+      }
+
+      let group = null;
+      children.forEach((child) => {
+        const childTag = tagNameOf(child);
+        const childPath = `${path} > ${lintSegment(child, el)}`;
+
+        if (checkChildren && !isAllowedChild(tag, childTag)) {
+          const chain = missingContainers(tag, childTag);
+          if (chain) {
+            report(childPath, childTag, null, "missing-container", "error",
+              `<${childTag}> can't be a direct child of <${tag}>`,
+              `Wrap it in ${chain.map((name) => `<${name}>`).join(" > ")}`,
+              repair);
+            group = addOrphan(group, el, child, chain);
+          } else {
+            report(childPath, childTag, null, "misplaced-element", "error",
+              `<${childTag}> doesn't belong inside <${tag}>`,
+              `Move it out of <${tag}>`);
+            group = null;
+          }
+        } else {
+          group = null;
+        }
+
+        visit(child, el, path);
+      });
+    };
+
+    if (root) {
+      if (typeof rootOrMarkup !== "string" && tagNameOf(root).startsWith("cf-")) {
+        visit(root, null, "");
+      } else {
+        // Top-level elements may be a snippet, but rows, columns and flex
+        // containers only exist inside a section
+        let group = null;
+        childElements(root)
+          .filter((child) => tagNameOf(child).startsWith("cf-"))
+          .forEach((child) => {
+            const childTag = tagNameOf(child);
+            if (["cf-row", "cf-col", "cf-flex"].includes(childTag)) {
+              const chain = ["cf-section"].concat(missingContainers("cf-section", childTag) || []);
+              report(lintSegment(child, root), childTag, null, "missing-container", "error",
+                `<${childTag}> must be inside a <cf-section>`,
+                `Wrap it in ${chain.map((name) => `<${name}>`).join(" > ")}`,
+                repair);
+              group = addOrphan(group, root, child, chain);
+            } else {
+              group = null;
+            }
+            visit(child, root, "");
+          });
+      }
+    }
+
+    const valid = !diagnostics.some((d) => d.severity === "error");
+    if (repair) {
+      repairs.forEach(({ parent, group }) => wrapOrphans(parent, group.orphans, group.chain));
+    }
+
+    const result = { valid, diagnostics };
+    if (typeof rootOrMarkup === "string") result.markup = serializeMarkup(root.childNodes);
+    return result;
+  }
+
+  // ==========================================================================
+  // ANIMATIONS - Apply animate.css animations to elements
+  // ==========================================================================
+
+  // Map ClickFunnels animation names to animate.css classes
+  const ANIMATION_MAP = {
+    // Entrance animations
+    'fade-in': 'fadeIn',
+    'glide-in': 'fadeInUp',
+    'slide-in': 'slideInLeft',
+    'bounce-in': 'bounceIn',
+    'expand-in': 'zoomIn',
+    'fold-in': 'fadeInDown',
+    'puff-in': 'zoomInUp',
+    'spin-in': 'rotateIn',
+    'flip-in': 'flipInX',
+    'turn-in': 'rotateInDownLeft',
+    'float-in': 'fadeInUp',
+    'reveal': 'fadeIn',
+
+    // Looping/attention animations (using subtle custom versions)
+    'blink': 'flash',
+    'rocking': 'subtleSwing',
+    'bouncing': 'subtleBounce',
+    'wooble': 'subtleWobble',
+    'elevate': 'subtlePulse',
+    'shake': 'shakeX',
+    'pulse': 'subtlePulse',
+    'tada': 'tada',
+    'jello': 'jello',
+    'heartbeat': 'heartBeat',
+    'rubber-band': 'rubberBand',
+  };
+
+  // Load animate.css from CDN and inject custom subtle animations
+  function loadAnimateCSS() {
+    if (document.querySelector('link[href*="animate.css"]')) {
+      injectCustomAnimations();
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = 'https://cdnjs.cloudflare.com/ajax/libs/animate.css/4.1.1/animate.min.css';
+      link.onload = () => {
+        injectCustomAnimations();
+        resolve();
+      };
+      link.onerror = reject;
+      document.head.appendChild(link);
+    });
+  }
+
+  // Inject custom subtle animation keyframes
+  function injectCustomAnimations() {
+    if (document.getElementById('funnelwind-custom-animations')) return;
+
+    const style = document.createElement('style');
+    style.id = 'funnelwind-custom-animations';
+    style.textContent = `
+      /* Subtle wobble - less rotation than default */
+      @keyframes subtleWobble {
+        0%, 100% { transform: translateX(0); }
+        15% { transform: translateX(-3px) rotate(-1deg); }
+        30% { transform: translateX(2px) rotate(0.5deg); }
+        45% { transform: translateX(-2px) rotate(-0.5deg); }
+        60% { transform: translateX(1px) rotate(0.25deg); }
+        75% { transform: translateX(-1px) rotate(-0.25deg); }
+      }
+      .animate__subtleWobble {
+        animation-name: subtleWobble;
+      }
+
+      /* Subtle bounce - less dramatic vertical movement */
+      @keyframes subtleBounce {
+        0%, 20%, 53%, 100% {
+          animation-timing-function: cubic-bezier(0.215, 0.61, 0.355, 1);
+          transform: translateY(0);
+        }
+        40%, 43% {
+          animation-timing-function: cubic-bezier(0.755, 0.05, 0.855, 0.06);
+          transform: translateY(-8px);
+        }
+        70% {
+          animation-timing-function: cubic-bezier(0.755, 0.05, 0.855, 0.06);
+          transform: translateY(-4px);
+        }
+        80% {
+          transform: translateY(0);
+        }
+        90% {
+          transform: translateY(-2px);
         }
-        40%, 43% {
-          animation-timing-function: cubic-bezier(0.755, 0.05, 0.855, 0.06);
-          transform: translateY(-8px);
+      }
+      .animate__subtleBounce {
+        animation-name: subtleBounce;
+        transform-origin: center bottom;
+      }
+
+      /* Subtle pulse - less scale change */
+      @keyframes subtlePulse {
+        0%, 100% { transform: scale(1); }
+        50% { transform: scale(1.03); }
+      }
+      .animate__subtlePulse {
+        animation-name: subtlePulse;
+      }
+
+      /* Subtle swing/rocking - less rotation */
+      @keyframes subtleSwing {
+        0%, 100% { transform: rotate(0deg); }
+        20% { transform: rotate(3deg); }
+        40% { transform: rotate(-2deg); }
+        60% { transform: rotate(1deg); }
+        80% { transform: rotate(-1deg); }
+      }
+      .animate__subtleSwing {
+        animation-name: subtleSwing;
+        transform-origin: top center;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Initialize animations when DOM is ready (optionally only inside root)
+  function initAnimations(root = document) {
+    // Find all elements with animation attributes
+    const animatedElements = queryAll(root, '[data-animation-type]');
+
+    animatedElements.forEach(element => {
+      if (isInitialized(element, 'animation')) return;
+
+      const animationType = element.getAttribute('data-animation-type');
+      const animationTime = parseInt(element.getAttribute('data-animation-time') || '1000', 10);
+      const animationDelay = parseInt(element.getAttribute('data-animation-delay') || '0', 10);
+      const animationTrigger = element.getAttribute('data-animation-trigger') || 'load';
+      const animationLoop = element.getAttribute('data-animation-loop') === 'true';
+      const animationOnce = element.getAttribute('data-animation-once') !== 'false';
+      const animationTiming = element.getAttribute('data-animation-timing-function') || 'ease';
+
+      // Get animate.css class name
+      const animateClass = ANIMATION_MAP[animationType] || animationType;
+
+      // Set CSS custom properties for duration and delay
+      element.style.setProperty('--animate-duration', `${animationTime}ms`);
+      element.style.setProperty('animation-timing-function', animationTiming);
+
+      // Initially hide element (unless it's a looping animation)
+      if (!animationLoop) {
+        element.style.opacity = '0';
+      }
+
+      // Handle different triggers
+      let teardown;
+      switch (animationTrigger) {
+        case 'scroll':
+          teardown = setupScrollTrigger(element, animateClass, animationDelay, animationLoop, animationOnce);
+          break;
+        case 'hover':
+          teardown = setupHoverTrigger(element, animateClass, animationLoop);
+          break;
+        case 'load':
+        default:
+          teardown = setupLoadTrigger(element, animateClass, animationDelay, animationLoop);
+          break;
+      }
+
+      onDestroy(element, 'animation', () => {
+        teardown();
+        element.classList.remove('animate__animated', `animate__${animateClass}`, 'animate__infinite');
+        element.style.removeProperty('--animate-duration');
+        element.style.removeProperty('animation-timing-function');
+        element.style.removeProperty('opacity');
+      });
+    });
+  }
+
+  // Trigger animation on page load
+  function setupLoadTrigger(element, animateClass, delay, loop) {
+    const timer = setTimeout(() => {
+      element.style.opacity = '1';
+      element.classList.add('animate__animated', `animate__${animateClass}`);
+
+      if (loop) {
+        element.classList.add('animate__infinite');
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }
+
+  // Trigger animation when element scrolls into view
+  function setupScrollTrigger(element, animateClass, delay, loop, once) {
+    let timer;
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          timer = setTimeout(() => {
+            element.style.opacity = '1';
+            element.classList.add('animate__animated', `animate__${animateClass}`);
+
+            if (loop) {
+              element.classList.add('animate__infinite');
+            }
+          }, delay);
+
+          if (once) {
+            observer.unobserve(element);
+          }
+        } else if (!once) {
+          // Reset animation when out of view
+          element.style.opacity = '0';
+          element.classList.remove('animate__animated', `animate__${animateClass}`);
+        }
+      });
+    }, {
+      threshold: 0.1,
+      rootMargin: '0px 0px -50px 0px'
+    });
+
+    observer.observe(element);
+
+    return () => {
+      clearTimeout(timer);
+      observer.disconnect();
+    };
+  }
+
+  // Trigger animation on hover
+  function setupHoverTrigger(element, animateClass, loop) {
+    // Show element initially for hover animations
+    element.style.opacity = '1';
+
+    const onEnter = () => {
+      element.classList.add('animate__animated', `animate__${animateClass}`);
+      if (loop) {
+        element.classList.add('animate__infinite');
+      }
+    };
+
+    const onLeave = () => {
+      element.classList.remove('animate__animated', `animate__${animateClass}`, 'animate__infinite');
+    };
+
+    // Also handle animation end for non-looping
+    const onEnd = () => {
+      if (!loop) {
+        element.classList.remove('animate__animated', `animate__${animateClass}`);
+      }
+    };
+
+    element.addEventListener('mouseenter', onEnter);
+    element.addEventListener('mouseleave', onLeave);
+    element.addEventListener('animationend', onEnd);
+
+    return () => {
+      element.removeEventListener('mouseenter', onEnter);
+      element.removeEventListener('mouseleave', onLeave);
+      element.removeEventListener('animationend', onEnd);
+    };
+  }
+
+  // ==========================================================================
+  // VIDEO BACKGROUND INITIALIZATION
+  // ==========================================================================
+
+  /**
+   * Play or pause a background player (YouTube and Vimeo through their
+   * postMessage APIs, files directly; Wistia keeps playing)
+   */
+  function setBackgroundVideoPlaying(player, type, playing) {
+    if (!player) return;
+
+    if (player.tagName === 'VIDEO') {
+      if (playing) {
+        const result = player.play();
+        if (result && result.catch) result.catch(() => {});
+      } else {
+        player.pause();
+      }
+      return;
+    }
+
+    const target = player.contentWindow;
+    if (!target) return;
+    if (type === 'youtube') {
+      target.postMessage(JSON.stringify({ event: 'command', func: playing ? 'playVideo' : 'pauseVideo', args: [] }), '*');
+    } else if (type === 'vimeo') {
+      target.postMessage(JSON.stringify({ method: playing ? 'play' : 'pause' }), '*');
+    }
+  }
+
+  /**
+   * Initialize video backgrounds on all sections with video-bg-url attribute
+   * - fill (default) covers the section, fit shows the whole video
+   * - The poster (video-bg-poster, or the video thumbnail) shows while the
+   *   video loads and on mobile when video-bg-hide-mobile is set
+   * - Videos pause while their section is off screen
+   * @param {Document|Element} root - Only initialize inside this subtree (default: document)
+   */
+  function initVideoBackgrounds(root = document) {
+    const sections = queryAll(root, '[data-video-bg-url]');
+    if (sections.length) injectVideoBackgroundStyles();
+
+    sections.forEach(section => {
+      if (isInitialized(section, 'video-background')) return;
+
+      const video = parseVideoUrl(section.getAttribute('data-video-bg-url'));
+      if (!video) return;
+
+      const overlay = section.getAttribute('data-video-bg-overlay') || section.getAttribute('data-overlay');
+      const hideMobile = section.getAttribute('data-video-bg-hide-mobile') !== 'false';
+      const fit = section.getAttribute('data-video-bg-style') === 'fit';
+      const poster = section.getAttribute('data-video-bg-poster') || section.getAttribute('data-video-bg-thumbnail');
+
+      // Create video background container
+      const videoContainer = document.createElement('div');
+      videoContainer.className = hideMobile ? 'cf-video-background cf-video-background-hide-mobile' : 'cf-video-background';
+      videoContainer.style.cssText = `
+        position: absolute;
+        inset: 0;
+        overflow: hidden;
+        z-index: 0;
+        pointer-events: none;
+      `;
+
+      // Poster behind the player
+      const posterEl = document.createElement('div');
+      posterEl.className = 'cf-video-background-poster';
+      posterEl.style.cssText = `
+        position: absolute;
+        inset: 0;
+        background-size: ${fit ? 'contain' : 'cover'};
+        background-position: center;
+        background-repeat: no-repeat;
+      `;
+      const setPoster = (src) => {
+        if (src) posterEl.style.backgroundImage = `url("${src}")`;
+      };
+      if (poster) {
+        setPoster(poster);
+      } else {
+        fetchVideoThumbnail(video).then(setPoster);
+      }
+      videoContainer.appendChild(posterEl);
+
+      // Create iframe wrapper for scaling/positioning
+      const iframeWrapper = document.createElement('div');
+      iframeWrapper.className = 'cf-video-background-wrapper';
+      iframeWrapper.style.cssText = fit
+        ? 'position: absolute; inset: 0;'
+        : `
+        position: absolute;
+        width: 100%;
+        height: 100%;
+        transform: translateY(-50%) scale(1.5);
+        top: 50%;
+      `;
+      videoContainer.appendChild(iframeWrapper);
+
+      // Create the player (iframe, or <video> for MP4) with autoplay, mute, loop
+      let player = null;
+      const mountPlayer = () => {
+        if (player) return;
+        iframeWrapper.innerHTML = videoPlayerHtml(
+          video,
+          { autoplay: true, muted: true, loop: true, controls: false, background: true },
+          fit
+            ? 'position: absolute; inset: 0; width: 100%; height: 100%; object-fit: contain; border: none;'
+            : 'position: absolute; top: 50%; left: 50%; width: 100vw; height: 100vh; min-width: 100%; min-height: 100%; transform: translate(-50%, -50%); object-fit: cover; border: none;'
+        );
+        player = iframeWrapper.firstElementChild;
+      };
+
+      // Hidden on mobile: don't load the video until the viewport is wider
+      const mobileQuery = hideMobile && window.matchMedia ? window.matchMedia('(max-width: 768px)') : null;
+      const onViewportChange = () => {
+        if (!mobileQuery.matches) mountPlayer();
+      };
+      if (mobileQuery && mobileQuery.matches) {
+        mobileQuery.addEventListener('change', onViewportChange);
+      } else {
+        mountPlayer();
+      }
+
+      // Create overlay if specified
+      if (overlay) {
+        const overlayEl = document.createElement('div');
+        overlayEl.className = 'cf-video-background-overlay';
+        overlayEl.style.cssText = `
+          position: absolute;
+          inset: 0;
+          background: ${overlay};
+          z-index: 1;
+          pointer-events: none;
+        `;
+        videoContainer.appendChild(overlayEl);
+      }
+
+      // Ensure section has relative positioning
+      const sectionStyle = window.getComputedStyle(section);
+      const madeRelative = sectionStyle.position === 'static';
+      if (madeRelative) {
+        section.style.position = 'relative';
+      }
+
+      // Insert video container as first child
+      section.insertBefore(videoContainer, section.firstChild);
+
+      // Ensure content is above video
+      const contentWrapper = section.querySelector(':scope > div:not(.cf-video-background):not(.cf-overlay)');
+      const contentStyle = contentWrapper && {
+        position: contentWrapper.style.position,
+        zIndex: contentWrapper.style.zIndex,
+      };
+      if (contentWrapper) {
+        contentWrapper.style.position = 'relative';
+        contentWrapper.style.zIndex = '2';
+      }
+
+      // Pause while the section is off screen
+      const visibilityObserver = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => setBackgroundVideoPlaying(player, video.type, entry.isIntersecting));
+      });
+      visibilityObserver.observe(section);
+
+      onDestroy(section, 'video-background', () => {
+        visibilityObserver.disconnect();
+        if (mobileQuery) mobileQuery.removeEventListener('change', onViewportChange);
+        videoContainer.remove();
+        if (madeRelative) section.style.removeProperty('position');
+        if (contentWrapper) Object.assign(contentWrapper.style, contentStyle);
+      });
+    });
+  }
+
+  /**
+   * Inject CSS for video background styling
+   */
+  function injectVideoBackgroundStyles() {
+    if (document.getElementById('funnelwind-video-bg-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'funnelwind-video-bg-styles';
+    style.textContent = `
+      /* Video background container */
+      .cf-video-background {
+        position: absolute;
+        inset: 0;
+        overflow: hidden;
+        z-index: 0;
+        pointer-events: none;
+      }
+
+      .cf-video-background iframe {
+        border: none;
+      }
+
+      /* Sections with video-bg-hide-mobile show only the poster on phones */
+      @media (max-width: 768px) {
+        .cf-video-background-hide-mobile .cf-video-background-wrapper {
+          display: none;
         }
-        70% {
-          animation-timing-function: cubic-bezier(0.755, 0.05, 0.855, 0.06);
-          transform: translateY(-4px);
+      }
+
+      /* Ensure section content stays above video */
+      [data-video-bg-url] > *:not(.cf-video-background):not(.cf-overlay) {
+        position: relative;
+        z-index: 2;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // ==========================================================================
+  // COUNTDOWN - Tick rendered Countdown/V1 elements
+  // ==========================================================================
+
+  // Largest unit first, so hidden units roll into the next visible one
+  const COUNTDOWN_UNITS = [
+    { unit: 'days', seconds: 86400 },
+    { unit: 'hours', seconds: 3600 },
+    { unit: 'minutes', seconds: 60 },
+    { unit: 'seconds', seconds: 1 },
+  ];
+
+  /**
+   * Offset (ms) between a time zone's wall clock and UTC at a given instant
+   */
+  function timeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }).formatToParts(new Date(timestamp)).forEach((part) => {
+      parts[part.type] = Number(part.value);
+    });
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - (timestamp - (timestamp % 1000));
+  }
+
+  /**
+   * Timestamp of a wall-clock date/time in an IANA time zone.
+   * Unknown time zones fall back to the visitor's local time.
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM[:SS]
+   * @param {string} timeZone - e.g. "America/New_York"
+   * @returns {number} Milliseconds since epoch, or NaN for an invalid date
+   */
+  function zonedTimestamp(date, time, timeZone) {
+    const [year, month, day] = (date || '').split('-').map(Number);
+    const [hour = 0, minute = 0, second = 0] = (time || '').split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (isNaN(wallClock)) return NaN;
+
+    try {
+      // Resolve the offset at the target itself, then once more in case
+      // the first guess landed on the other side of a DST change
+      const guess = wallClock - timeZoneOffset(wallClock, timeZone);
+      return wallClock - timeZoneOffset(guess, timeZone);
+    } catch (e) {
+      return new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+  }
+
+  /**
+   * Calendar date (YYYY-MM-DD) at an instant in an IANA time zone
+   */
+  function zonedDate(timestamp, timeZone) {
+    let offset;
+    try {
+      offset = timeZoneOffset(timestamp, timeZone);
+    } catch (e) {
+      offset = -new Date(timestamp).getTimezoneOffset() * 60000;
+    }
+    return new Date(timestamp + offset).toISOString().slice(0, 10);
+  }
+
+  /**
+   * When the visitor first saw an evergreen countdown. Stored in localStorage
+   * under the countdown's id (or its position on the page when it has none).
+   */
+  function evergreenStart(countdown) {
+    const index = queryAll(document, '[data-type="Countdown/V1"]').indexOf(countdown);
+    const key = `cf-countdown-start:${countdown.id || `${window.location.pathname}#${index}`}`;
+    const now = Date.now();
+
+    try {
+      const stored = parseInt(window.localStorage.getItem(key), 10);
+      if (stored && stored <= now) return stored;
+      window.localStorage.setItem(key, String(now));
+    } catch (e) {
+      // Storage unavailable (e.g. privacy mode): count from this page view
+    }
+    return now;
+  }
+
+  /**
+   * Deadline of a rendered countdown according to its data-mode
+   * @returns {number} Milliseconds since epoch, or NaN if it has none
+   */
+  function countdownDeadline(countdown) {
+    const mode = countdown.getAttribute('data-mode') || 'date';
+    const endTime = countdown.getAttribute('data-end-time');
+    const timeZone = countdown.getAttribute('data-timezone') || 'America/New_York';
+
+    if (mode === 'evergreen') {
+      const duration = COUNTDOWN_UNITS.reduce((total, { unit, seconds }) =>
+        total + (parseFloat(countdown.getAttribute(`data-duration-${unit}`)) || 0) * seconds, 0);
+      return evergreenStart(countdown) + duration * 1000;
+    }
+
+    if (mode === 'daily') {
+      // Today's end-time, or tomorrow's once today's has passed
+      const now = Date.now();
+      const today = zonedDate(now, timeZone);
+      const deadline = zonedTimestamp(today, endTime, timeZone);
+      if (isNaN(deadline) || deadline > now) return deadline;
+      const tomorrow = new Date(Date.parse(today) + 86400000).toISOString().slice(0, 10);
+      return zonedTimestamp(tomorrow, endTime, timeZone);
+    }
+
+    return zonedTimestamp(countdown.getAttribute('data-end-date'), endTime, timeZone);
+  }
+
+  /**
+   * Split remaining milliseconds over the visible units
+   * @param {number} remaining
+   * @param {string[]} visible - Unit names that are shown
+   * @returns {Object} unit -> value
+   */
+  function countdownValues(remaining, visible) {
+    let seconds = Math.max(0, Math.floor(remaining / 1000));
+    const values = {};
+    COUNTDOWN_UNITS.forEach(({ unit, seconds: size }) => {
+      if (!visible.includes(unit)) return;
+      values[unit] = Math.floor(seconds / size);
+      seconds -= values[unit] * size;
+    });
+    return values;
+  }
+
+  /**
+   * Popup and redirect actions of a countdown that reached zero
+   * (show-ids/hide-ids are toggled by the countdown itself so destroy() can undo them)
+   */
+  function expireCountdown(countdown, root) {
+    const id = countdown.getAttribute('data-open-popup');
+    const popup = id && findPopup(id === 'true' ? null : id, popupScope(countdown, root));
+    if (popup) openPopup(popup);
+
+    const redirect = countdown.getAttribute('data-redirect');
+    if (redirect) window.location.href = redirect;
+  }
+
+  /**
+   * Start every countdown inside root; each one updates once a second.
+   * When it reaches zero, hide-ids are hidden, show-ids (hidden until then)
+   * are shown, the popup opens and the redirect is followed, as configured.
+   * A daily countdown that ran out counts to the next day's end-time on the
+   * next page view.
+   * @param {Document|Element} root - Only initialize inside this subtree (default: document)
+   */
+  function initCountdowns(root = document) {
+    queryAll(root, '[data-type="Countdown/V1"]').forEach((countdown) => {
+      if (isInitialized(countdown, 'countdown')) return;
+
+      const end = countdownDeadline(countdown);
+      if (isNaN(end)) return;
+
+      const amounts = Array.from(countdown.querySelectorAll('.elCountdownAmount[data-unit]'));
+      const visible = amounts.map((amount) => amount.getAttribute('data-unit'));
+      const hidden = elementsByIds(countdown.getAttribute('data-hide-ids'));
+      const shown = elementsByIds(countdown.getAttribute('data-show-ids'));
+
+      // Whatever appears on expiry stays hidden until then
+      const restores = [setElementsVisible(shown, false)];
+
+      let timer = null;
+      const stop = () => {
+        clearInterval(timer);
+        timer = null;
+      };
+
+      const tick = () => {
+        // Removed from the page some other way than destroy(); a live
+        // re-render initializes the countdown that replaced it
+        if (!countdown.isConnected) {
+          destroyRemoved([countdown]);
+          return;
         }
-        80% {
-          transform: translateY(0);
+
+        const remaining = end - Date.now();
+        const values = countdownValues(remaining, visible);
+        amounts.forEach((amount) => {
+          amount.textContent = String(values[amount.getAttribute('data-unit')]).padStart(2, '0');
+        });
+
+        if (remaining <= 0) {
+          stop();
+          restores.push(setElementsVisible(hidden, false), setElementsVisible(shown, true));
+          expireCountdown(countdown, root);
         }
-        90% {
-          transform: translateY(-2px);
+      };
+
+      tick();
+      if (Date.now() < end) timer = setInterval(tick, 1000);
+
+      onDestroy(countdown, 'countdown', () => {
+        stop();
+        restores.reverse().forEach((restore) => restore());
+        amounts.forEach((amount) => {
+          amount.textContent = '00';
+        });
+      });
+    });
+  }
+
+  // ==========================================================================
+  // BUTTON ACTIONS - show-hide and scroll buttons
+  // ==========================================================================
+
+  /**
+   * Wire up buttons with action="show-hide" (show data-show-ids, hidden
+   * until the click, and hide data-hide-ids) and action="scroll"
+   * (smooth-scroll to data-scroll-target).
+   * Warns about element-ids that don't exist on the page.
+   * @param {Document|Element} root - Only initialize inside this subtree (default: document)
+   */
+  function initButtonActions(root = document) {
+    const buttons = queryAll(root, '[data-type="Button/V1"][data-action="show-hide"], [data-type="Button/V1"][data-action="scroll"]');
+
+    buttons.forEach((button) => {
+      if (isInitialized(button, 'button-action')) return;
+
+      const action = button.getAttribute('data-action');
+      const ids = action === 'scroll'
+        ? splitIds(button.getAttribute('data-scroll-target'))
+        : splitIds(button.getAttribute('data-show-ids')).concat(splitIds(button.getAttribute('data-hide-ids')));
+      ids.filter((id) => !document.getElementById(id)).forEach((id) => {
+        console.warn(`FunnelWind: ${action} button targets element-id "${id}", which is not on the page`);
+      });
+
+      // What the button reveals starts out hidden
+      const restores = action === 'show-hide'
+        ? [setElementsVisible(elementsByIds(button.getAttribute('data-show-ids')), false)]
+        : [];
+      const onClick = (e) => {
+        e.preventDefault();
+
+        if (action === 'scroll') {
+          const target = elementsByIds(button.getAttribute('data-scroll-target'))[0];
+          if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          return;
+        }
+
+        // Look targets up on every click; live mode may have re-rendered them
+        restores.push(
+          setElementsVisible(elementsByIds(button.getAttribute('data-hide-ids')), false),
+          setElementsVisible(elementsByIds(button.getAttribute('data-show-ids')), true)
+        );
+      };
+      button.addEventListener('click', onClick);
+
+      onDestroy(button, 'button-action', () => {
+        button.removeEventListener('click', onClick);
+        restores.reverse().forEach((restore) => restore());
+      });
+    });
+  }
+
+  // ==========================================================================
+  // FORMS - client-side validation and submission
+  // ==========================================================================
+
+  const FORM_FIELD_SELECTOR = '[data-type="Input/V1"], [data-type="TextArea/V1"], [data-type="SelectBox/V1"], [data-type="Checkbox/V1"], [data-type="RadioGroup/V1"]';
+
+  // Input types where Enter submits, as in a native form
+  const SUBMIT_ON_ENTER_TYPES = ['text', 'email', 'tel', 'password', 'url', 'number', 'search'];
+
+  /**
+   * The fields a submit button sends: those in its popup, else its section,
+   * else the initialized root (the whole page for document)
+   * @param {Element} button
+   * @param {Document|Element} root - Root passed to initForms()
+   * @returns {Element}
+   */
+  function formGroup(button, root) {
+    return button.closest('.cf-popup-wrapper') ||
+      button.closest('[data-type="SectionContainer/V1"]') ||
+      (root === document ? document.body : root);
+  }
+
+  /**
+   * Validate one field wrapper
+   * @param {Element} wrapper - Element with data-type Input/TextArea/SelectBox/Checkbox/RadioGroup
+   * @returns {string} Error message, or "" when valid
+   */
+  function validateField(wrapper) {
+    const control = wrapper.querySelector('input, textarea, select');
+    if (!control) return "";
+
+    const required = wrapper.getAttribute('data-required') === 'true';
+    if (control.type === 'checkbox') {
+      return required && !control.checked ? "Please check this box" : "";
+    }
+    if (control.type === 'radio') {
+      return required && !wrapper.querySelector('input:checked') ? "Please choose an option" : "";
+    }
+
+    const value = control.value.trim();
+    if (!value) return required ? "This field is required" : "";
+
+    const inputType = INPUT_TYPES[wrapper.getAttribute('data-input-type')];
+    return inputType && inputType.validate ? inputType.validate(value) : "";
+  }
+
+  /**
+   * Show or clear the inline error under a field
+   * @param {Element} wrapper
+   * @param {string} message - "" clears the error
+   */
+  function setFieldError(wrapper, message) {
+    const control = wrapper.querySelector('input, textarea, select');
+    let error = wrapper.querySelector('.cf-field-error');
+
+    if (!message) {
+      if (error) error.remove();
+      if (control) control.removeAttribute('aria-invalid');
+      return;
+    }
+
+    if (!error) {
+      error = document.createElement('div');
+      error.className = 'cf-field-error';
+      error.setAttribute('role', 'alert');
+      error.style.cssText = 'color: #dc2626; font-size: 13px; margin-top: 4px;';
+      wrapper.appendChild(error);
+    }
+    error.textContent = message;
+    if (control) control.setAttribute('aria-invalid', 'true');
+  }
+
+  /**
+   * Collect field values by name. Checkboxes submit true/false, radio
+   * groups the selected value ("" when none is selected).
+   * @param {Element[]} wrappers
+   * @returns {Object}
+   */
+  function formValues(wrappers) {
+    const fields = {};
+    wrappers.forEach((wrapper) => {
+      const control = wrapper.querySelector('input, textarea, select');
+      if (!control || !control.name) return;
+      if (control.type === 'radio') {
+        const selected = wrapper.querySelector('input:checked');
+        fields[control.name] = selected ? selected.value : "";
+      } else {
+        fields[control.name] = control.type === 'checkbox' ? control.checked : control.value.trim();
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Wire up buttons with action="submit". A click validates the fields in
+   * the button's popup or section (required fields, INPUT_TYPES rules) and shows
+   * errors inline. Valid fields are dispatched as a cancelable
+   * "funnelwind:submit" event ({ fields, button }) on the group; unless it
+   * is canceled and the button has data-endpoint, they are POSTed there as
+   * JSON, followed by "funnelwind:submitted" or "funnelwind:submit-error".
+   * @param {Document|Element} root - Only initialize inside this subtree (default: document)
+   */
+  function initForms(root = document) {
+    const buttons = queryAll(root, '[data-type="Button/V1"][data-action="submit"]');
+
+    buttons.forEach((button) => {
+      if (isInitialized(button, 'form-submit')) return;
+
+      const group = formGroup(button, root);
+      let submitting = false;
+
+      const submit = () => {
+        if (submitting) return;
+
+        const wrappers = Array.from(group.querySelectorAll(FORM_FIELD_SELECTOR));
+        const invalid = wrappers.filter((wrapper) => {
+          const message = validateField(wrapper);
+          setFieldError(wrapper, message);
+          return message;
+        });
+        if (invalid.length) {
+          const control = invalid[0].querySelector('input, textarea, select');
+          if (control) control.focus();
+          return;
         }
+
+        const fields = formValues(wrappers);
+        const proceed = group.dispatchEvent(new CustomEvent('funnelwind:submit', {
+          bubbles: true,
+          cancelable: true,
+          detail: { fields, button },
+        }));
+        const endpoint = button.getAttribute('data-endpoint');
+        if (!proceed || !endpoint) return;
+
+        const notify = (type, detail) => {
+          group.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: { fields, button, ...detail } }));
+        };
+        submitting = true;
+        button.setAttribute('aria-busy', 'true');
+        fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(fields),
+        })
+          .then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            notify('funnelwind:submitted', { response });
+          })
+          .catch((error) => {
+            console.warn(`FunnelWind: form submit to ${endpoint} failed:`, error);
+            notify('funnelwind:submit-error', { error });
+          })
+          .finally(() => {
+            submitting = false;
+            button.removeAttribute('aria-busy');
+          });
+      };
+
+      const onClick = (e) => {
+        e.preventDefault();
+        submit();
+      };
+      // Enter in a text-like field submits through the group's first button
+      const onKeydown = (e) => {
+        if (e.key !== 'Enter' || e.target.tagName !== 'INPUT' || !SUBMIT_ON_ENTER_TYPES.includes(e.target.type)) return;
+        if (!e.target.closest(FORM_FIELD_SELECTOR)) return;
+        if (group.querySelector('[data-type="Button/V1"][data-action="submit"]') !== button) return;
+        e.preventDefault();
+        submit();
+      };
+      // Editing a field clears its error
+      const onInput = (e) => {
+        const wrapper = e.target.closest && e.target.closest(FORM_FIELD_SELECTOR);
+        if (wrapper) setFieldError(wrapper, "");
+      };
+
+      button.addEventListener('click', onClick);
+      group.addEventListener('keydown', onKeydown);
+      group.addEventListener('input', onInput);
+      group.addEventListener('change', onInput);
+
+      onDestroy(button, 'form-submit', () => {
+        button.removeEventListener('click', onClick);
+        group.removeEventListener('keydown', onKeydown);
+        group.removeEventListener('input', onInput);
+        group.removeEventListener('change', onInput);
+        group.querySelectorAll(FORM_FIELD_SELECTOR).forEach((wrapper) => setFieldError(wrapper, ""));
+      });
+    });
+  }
+
+  // ==========================================================================
+  // CHECKBOXES - checked state and focus styles (radio groups share them)
+  // ==========================================================================
+
+  /**
+   * Inject CSS that draws custom checkboxes and radio buttons from the
+   * native input's state
+   */
+  function injectCheckboxStyles() {
+    if (document.getElementById('funnelwind-checkbox-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'funnelwind-checkbox-styles';
+    style.textContent = `
+      /* Override the inline initial state once the runtime takes over */
+      .cf-checkbox-input + .cf-checkbox-box {
+        background-color: var(--cf-checkbox-bg) !important;
+        border-color: var(--cf-checkbox-border-color) !important;
+        transition: background-color 0.15s, border-color 0.15s;
       }
-      .animate__subtleBounce {
-        animation-name: subtleBounce;
-        transform-origin: center bottom;
+
+      .cf-checkbox-input:checked + .cf-checkbox-box {
+        background-color: var(--cf-checkbox-checked-bg) !important;
+        border-color: var(--cf-checkbox-checked-bg) !important;
       }
 
-      /* Subtle pulse - less scale change */
-      @keyframes subtlePulse {
-        0%, 100% { transform: scale(1); }
-        50% { transform: scale(1.03); }
+      .cf-checkbox-input + .cf-checkbox-box .cf-checkbox-check,
+      .cf-checkbox-input + .cf-checkbox-box .cf-radio-dot {
+        display: none !important;
       }
-      .animate__subtlePulse {
-        animation-name: subtlePulse;
+
+      .cf-checkbox-input:checked + .cf-checkbox-box .cf-checkbox-check {
+        display: inline-block !important;
       }
 
-      /* Subtle swing/rocking - less rotation */
-      @keyframes subtleSwing {
-        0%, 100% { transform: rotate(0deg); }
-        20% { transform: rotate(3deg); }
-        40% { transform: rotate(-2deg); }
-        60% { transform: rotate(1deg); }
-        80% { transform: rotate(-1deg); }
+      .cf-checkbox-input:checked + .cf-checkbox-box .cf-radio-dot {
+        display: block !important;
       }
-      .animate__subtleSwing {
-        animation-name: subtleSwing;
-        transform-origin: top center;
+
+      /* Keyboard focus ring (the native input itself is invisible) */
+      .cf-checkbox-input:focus-visible + .cf-checkbox-box {
+        outline: 2px solid var(--cf-checkbox-checked-bg);
+        outline-offset: 2px;
       }
     `;
     document.head.appendChild(style);
   }
 
-  // Initialize animations when DOM is ready
-  function initAnimations() {
-    // Find all elements with animation attributes
-    const animatedElements = document.querySelectorAll('[data-animation-type]');
+  /**
+   * Make rendered checkboxes interactive: inject the checkbox CSS and keep
+   * data-checked on the Checkbox/V1 wrapper in sync with the input, so an
+   * export after clicking records the current state.
+   * @param {Document|Element} root - Only initialize inside this subtree (default: document)
+   */
+  function initCheckboxes(root = document) {
+    const checkboxes = queryAll(root, '[data-type="Checkbox/V1"]');
+    if (checkboxes.length) injectCheckboxStyles();
 
-    animatedElements.forEach(element => {
-      const animationType = element.getAttribute('data-animation-type');
-      const animationTime = parseInt(element.getAttribute('data-animation-time') || '1000', 10);
-      const animationDelay = parseInt(element.getAttribute('data-animation-delay') || '0', 10);
-      const animationTrigger = element.getAttribute('data-animation-trigger') || 'load';
-      const animationLoop = element.getAttribute('data-animation-loop') === 'true';
-      const animationOnce = element.getAttribute('data-animation-once') !== 'false';
-      const animationTiming = element.getAttribute('data-animation-timing-function') || 'ease';
+    checkboxes.forEach((checkbox) => {
+      if (isInitialized(checkbox, 'checkbox')) return;
 
-      // Get animate.css class name
-      const animateClass = ANIMATION_MAP[animationType] || animationType;
+      const input = checkbox.querySelector('input[type="checkbox"]');
+      if (!input) return;
 
-      // Set CSS custom properties for duration and delay
-      element.style.setProperty('--animate-duration', `${animationTime}ms`);
-      element.style.setProperty('animation-timing-function', animationTiming);
+      const onChange = () => {
+        if (input.checked) {
+          checkbox.setAttribute('data-checked', 'true');
+        } else {
+          checkbox.removeAttribute('data-checked');
+        }
+      };
+      input.addEventListener('change', onChange);
 
-      // Initially hide element (unless it's a looping animation)
-      if (!animationLoop) {
-        element.style.opacity = '0';
-      }
+      onDestroy(checkbox, 'checkbox', () => {
+        input.removeEventListener('change', onChange);
+      });
+    });
+  }
 
-      // Handle different triggers
-      switch (animationTrigger) {
-        case 'scroll':
-          setupScrollTrigger(element, animateClass, animationDelay, animationLoop, animationOnce);
-          break;
-        case 'hover':
-          setupHoverTrigger(element, animateClass, animationLoop);
-          break;
-        case 'load':
-        default:
-          setupLoadTrigger(element, animateClass, animationDelay, animationLoop);
-          break;
-      }
+  /**
+   * Make rendered radio groups interactive: inject the checkbox CSS and keep
+   * data-value on the RadioGroup/V1 wrapper set to the selected option.
+   * @param {Document|Element} root - Only initialize inside this subtree (default: document)
+   */
+  function initRadioGroups(root = document) {
+    const groups = queryAll(root, '[data-type="RadioGroup/V1"]');
+    if (groups.length) injectCheckboxStyles();
+
+    groups.forEach((group) => {
+      if (isInitialized(group, 'radio-group')) return;
+
+      const onChange = (e) => {
+        if (e.target.type === 'radio' && e.target.checked) {
+          group.setAttribute('data-value', e.target.value);
+        }
+      };
+      group.addEventListener('change', onChange);
+
+      onDestroy(group, 'radio-group', () => {
+        group.removeEventListener('change', onChange);
+      });
+    });
+  }
+
+  // ==========================================================================
+  // INITIALIZATION - Process elements in correct order (leaf-first)
+  // ==========================================================================
+
+  // Process from innermost to outermost (reverse order)
+  const TAG_ORDER = [
+    // Elements first (innermost)
+    "cf-icon",
+    "cf-divider",
+    "cf-image",
+    "cf-video",
+    "cf-headline",
+    "cf-subheadline",
+    "cf-paragraph",
+    "cf-button",
+    "cf-input",
+    "cf-textarea",
+    "cf-select",
+    "cf-checkbox",
+    "cf-radio-group",
+    "cf-bullet-list",
+    "cf-progress-bar",
+    "cf-video-popup",
+    "cf-countdown",
+    // Placeholders
+    "cf-checkout-placeholder",
+    "cf-order-summary-placeholder",
+    "cf-confirmation-placeholder",
+    // Then containers
+    "cf-flex",
+    "cf-col-inner",
+    "cf-col",
+    "cf-row",
+    "cf-section",
+    "cf-popup",
+    "cf-page",
+  ];
+
+  /**
+   * Render every cf-* element in root (root included), leaf-first
+   * @param {Document|Element} root
+   */
+  function renderElements(root) {
+    TAG_ORDER.forEach((tag) => {
+      queryAll(root, tag).forEach((el) => {
+        if (el.mount && !el._rendered) {
+          el.mount();
+        }
+      });
+    });
+
+    // Mark all cf-page elements as rendered to show content (FOUC prevention)
+    queryAll(root, 'cf-page').forEach((page) => {
+      page.setAttribute('data-rendered', 'true');
     });
   }
 
-  // Trigger animation on page load
-  function setupLoadTrigger(element, animateClass, delay, loop) {
-    setTimeout(() => {
-      element.style.opacity = '1';
-      element.classList.add('animate__animated', `animate__${animateClass}`);
+  /**
+   * Initialize FunnelWind - transforms all cf-* elements
+   * Call this after DOM is ready or after dynamic content is added.
+   * Safe to call repeatedly: rendered elements and attached behaviour are skipped.
+   * @param {Document|Element} root - Only initialize inside this container (default: document)
+   */
+  function initFunnelWind(root = document) {
+    loadGoogleFonts(root);  // Load fonts before rendering
+    renderElements(root);
+    styleguideManager.applyFontDataAttributes(root);
+
+    // Initialize animations, popup, and other functionality after elements are rendered
+    // Small delay to ensure DOM is fully updated
+    requestAnimationFrame(() => initRuntime(root));
+  }
+
+  /**
+   * Attach the runtime behaviour (animations, popups, buttons, forms,
+   * countdowns, video) to rendered elements inside root.
+   * Already initialized elements are skipped.
+   * @param {Document|Element} root
+   */
+  function initRuntime(root) {
+    loadAnimateCSS().then(() => initAnimations(root));
+    initPopup(root);
+    initButtonActions(root);
+    initForms(root);
+    initCheckboxes(root);
+    initRadioGroups(root);
+    initVideoPopups(root);
+    initCountdowns(root);
+    injectVideoBackgroundStyles();
+    initVideoBackgrounds(root);
+  }
+
+  /**
+   * Undo initFunnelWind() for a container: remove event listeners,
+   * IntersectionObservers, timers and injected video iframes.
+   * Rendered markup stays in place, so init(root) can attach everything again.
+   * @param {Document|Element} root - Container to tear down (default: document)
+   */
+  function destroyFunnelWind(root = document) {
+    runtimeCleanups.forEach((features, el) => {
+      if (!isInRoot(root, el)) return;
+      Object.values(features).forEach((cleanup) => cleanup());
+      runtimeCleanups.delete(el);
+    });
 
-      if (loop) {
-        element.classList.add('animate__infinite');
-      }
-    }, delay);
+    if (autoRenderRoot && isInRoot(root, autoRenderRoot)) {
+      stopAutoRender();
+    }
   }
 
-  // Trigger animation when element scrolls into view
-  function setupScrollTrigger(element, animateClass, delay, loop, once) {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          setTimeout(() => {
-            element.style.opacity = '1';
-            element.classList.add('animate__animated', `animate__${animateClass}`);
+  // ==========================================================================
+  // AUTO-RENDER - Render cf-* elements inserted after initialization
+  // ==========================================================================
 
-            if (loop) {
-              element.classList.add('animate__infinite');
-            }
-          }, delay);
+  let autoRenderObserver = null;
+  let autoRenderRoot = null;
 
-          if (once) {
-            observer.unobserve(element);
-          }
-        } else if (!once) {
-          // Reset animation when out of view
-          element.style.opacity = '0';
-          element.classList.remove('animate__animated', `animate__${animateClass}`);
-        }
-      });
-    }, {
-      threshold: 0.1,
-      rootMargin: '0px 0px -50px 0px'
-    });
+  const CF_SELECTOR = TAG_ORDER.join(", ");
 
-    observer.observe(element);
+  function hasPendingElements(node) {
+    return queryAll(node, CF_SELECTOR).some((el) => !el._rendered);
   }
 
-  // Trigger animation on hover
-  function setupHoverTrigger(element, animateClass, loop) {
-    // Show element initially for hover animations
-    element.style.opacity = '1';
+  /**
+   * Render one inserted subtree and return the elements that now stand in
+   * its place (the rendered output, or the node itself if it was kept)
+   */
+  function renderSubtree(node) {
+    const parent = node.parentNode;
+    const previous = node.previousSibling;
+    const next = node.nextSibling;
+
+    renderElements(node);
+    if (node.parentNode === parent) return [node];
+
+    const rendered = [];
+    let current = previous ? previous.nextSibling : parent.firstChild;
+    while (current && current !== next) {
+      if (current.nodeType === 1) rendered.push(current);
+      current = current.nextSibling;
+    }
+    return rendered;
+  }
 
-    element.addEventListener('mouseenter', () => {
-      element.classList.add('animate__animated', `animate__${animateClass}`);
-      if (loop) {
-        element.classList.add('animate__infinite');
-      }
+  function handleMutations(mutations) {
+    const added = [];
+    mutations.forEach((mutation) => {
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType === 1 && !added.includes(node)) added.push(node);
+      });
     });
 
-    element.addEventListener('mouseleave', () => {
-      element.classList.remove('animate__animated', `animate__${animateClass}`, 'animate__infinite');
+    // Nested additions are rendered with their outermost added ancestor
+    const roots = added.filter((node) =>
+      node.isConnected &&
+      !added.some((other) => other !== node && other.contains(node)) &&
+      hasPendingElements(node)
+    );
+    if (roots.length === 0) return;
+
+    const rendered = [];
+    roots.forEach((node) => {
+      loadGoogleFonts(node);  // Load fonts before rendering
+      rendered.push(...renderSubtree(node));
     });
 
-    // Also handle animation end for non-looping
-    element.addEventListener('animationend', () => {
-      if (!loop) {
-        element.classList.remove('animate__animated', `animate__${animateClass}`);
-      }
+    // Our own DOM replacements need no second pass
+    autoRenderObserver.takeRecords();
+
+    rendered.forEach((el) => styleguideManager.applyFontDataAttributes(el));
+    requestAnimationFrame(() => {
+      rendered.filter((el) => el.isConnected).forEach((el) => initRuntime(el));
     });
   }
 
-  // ==========================================================================
-  // VIDEO BACKGROUND INITIALIZATION
-  // ==========================================================================
+  /**
+   * Watch root for inserted cf-* elements (e.g. content streamed into a chat
+   * UI) and render each new subtree leaf-first as soon as it is added
+   * @param {Element} root - Element to watch (default: document.body)
+   */
+  function startAutoRender(root = document.body) {
+    stopAutoRender();
+    autoRenderObserver = new MutationObserver(handleMutations);
+    autoRenderObserver.observe(root, { childList: true, subtree: true });
+    autoRenderRoot = root;
+  }
+
+  function stopAutoRender() {
+    if (!autoRenderObserver) return;
+    autoRenderObserver.disconnect();
+    autoRenderObserver = null;
+    autoRenderRoot = null;
+  }
 
   /**
-   * Extract YouTube video ID from URL
+   * Rendered popup by element-id; without an id, the default (first) popup
+   * in scope - the one exported as the pagetree popup. Popups inside scope
+   * win, so mockups initialized side by side keep their own popups.
+   * @param {string} id - Popup element-id (optional)
+   * @param {Document|Element} scope - Page or init root to look in (default: document)
    */
-  function extractYouTubeVideoIdForBackground(url) {
-    if (!url) return null;
-    const match = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\s?]+)/);
-    return match ? match[1] : null;
+  function findPopup(id, scope = document) {
+    const popup = queryAll(scope, '.cf-popup-wrapper').find((wrapper) => !id || wrapper.id === id) ||
+      (id ? document.getElementById(id) : null);
+    return popup && popup.classList.contains('cf-popup-wrapper') ? popup : null;
   }
 
   /**
-   * Initialize video backgrounds on all sections with video-bg-url attribute
+   * Where the popups an element refers to live: its page (ContentNode),
+   * else the root it was initialized in
    */
-  function initVideoBackgrounds() {
-    const sections = document.querySelectorAll('[data-video-bg-url]');
+  function popupScope(el, root) {
+    return el.closest('[data-type="ContentNode"]') || root;
+  }
 
-    sections.forEach(section => {
-      const videoUrl = section.getAttribute('data-video-bg-url');
-      const videoId = extractYouTubeVideoIdForBackground(videoUrl);
+  function isPopupOpen(popup) {
+    return popup.style.display === 'flex';
+  }
 
-      if (!videoId) return;
+  const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    '[tabindex]:not([tabindex="-1"])',
+  ].join(', ');
+
+  // Open popups in the order they opened -> element to refocus on close
+  const openPopups = new Map();
+  let lockedBodyOverflow = '';
+
+  function isTopPopup(popup) {
+    return Array.from(openPopups.keys()).pop() === popup;
+  }
 
-      const overlay = section.getAttribute('data-video-bg-overlay') || section.getAttribute('data-overlay');
-      const hideMobile = section.getAttribute('data-video-bg-hide-mobile') !== 'false';
+  /**
+   * Show a popup, lock page scrolling and move focus into the dialog
+   * @param {Element} popup - .cf-popup-wrapper
+   * @param {Element} opener - Gets focus back on close (default: the focused element)
+   */
+  function openPopup(popup, opener = document.activeElement) {
+    if (isPopupOpen(popup)) return;
+    popup.style.display = 'flex';
 
-      // Create video background container
-      const videoContainer = document.createElement('div');
-      videoContainer.className = 'cf-video-background';
-      videoContainer.style.cssText = `
-        position: absolute;
-        inset: 0;
-        overflow: hidden;
-        z-index: 0;
-        pointer-events: none;
-      `;
+    if (openPopups.size === 0) {
+      lockedBodyOverflow = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+    }
+    openPopups.set(popup, opener);
 
-      // Create iframe wrapper for scaling/positioning
-      const iframeWrapper = document.createElement('div');
-      iframeWrapper.className = 'cf-video-background-wrapper';
-      iframeWrapper.style.cssText = `
-        position: absolute;
-        width: 100%;
-        height: 100%;
-        transform: translateY(-50%) scale(1.5);
-        top: 50%;
-      `;
+    const content = popup.querySelector('.elModalInnerContainer');
+    const target = (content && content.querySelector(FOCUSABLE_SELECTOR)) || popup.querySelector('.cf-popup-close');
+    if (target) target.focus();
+  }
 
-      // Create YouTube iframe with autoplay, mute, loop
-      const iframe = document.createElement('iframe');
-      iframe.src = `https://www.youtube.com/embed/${videoId}?autoplay=1&mute=1&loop=1&playlist=${videoId}&controls=0&showinfo=0&rel=0&modestbranding=1&playsinline=1&enablejsapi=1`;
-      iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
-      iframe.allowFullscreen = true;
-      iframe.style.cssText = `
-        position: absolute;
-        top: 50%;
-        left: 50%;
-        width: 100vw;
-        height: 100vh;
-        min-width: 100%;
-        min-height: 100%;
-        transform: translate(-50%, -50%);
-        object-fit: cover;
-        border: none;
-      `;
+  function closePopup(popup) {
+    popup.style.display = 'none';
+    if (!openPopups.has(popup)) return;
 
-      iframeWrapper.appendChild(iframe);
-      videoContainer.appendChild(iframeWrapper);
+    const opener = openPopups.get(popup);
+    openPopups.delete(popup);
+    if (openPopups.size === 0) document.body.style.overflow = lockedBodyOverflow;
+    if (opener && opener !== document.body && opener.isConnected) opener.focus();
+  }
 
-      // Create overlay if specified
-      if (overlay) {
-        const overlayEl = document.createElement('div');
-        overlayEl.className = 'cf-video-background-overlay';
-        overlayEl.style.cssText = `
-          position: absolute;
-          inset: 0;
-          background: ${overlay};
-          z-index: 1;
-          pointer-events: none;
-        `;
-        videoContainer.appendChild(overlayEl);
-      }
+  /**
+   * Keep Tab and Shift+Tab inside an open popup
+   */
+  function trapFocus(popup, e) {
+    const focusable = queryAll(popup.querySelector('.cf-popup-modal'), FOCUSABLE_SELECTOR);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = focusable.includes(document.activeElement);
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
 
-      // Ensure section has relative positioning
-      const sectionStyle = window.getComputedStyle(section);
-      if (sectionStyle.position === 'static') {
-        section.style.position = 'relative';
+  // FunnelWind.popups - show/hide/toggle a popup by element-id (default popup without one).
+  // show() takes an optional element to refocus when the popup closes.
+  const popups = {
+    show(id, opener) {
+      const popup = findPopup(id);
+      if (popup) openPopup(popup, opener);
+    },
+    hide(id) {
+      const popup = findPopup(id);
+      if (popup) closePopup(popup);
+    },
+    toggle(id) {
+      const popup = findPopup(id);
+      if (!popup) return;
+      if (isPopupOpen(popup)) {
+        closePopup(popup);
+      } else {
+        openPopup(popup);
       }
+    },
+  };
 
-      // Insert video container as first child
-      section.insertBefore(videoContainer, section.firstChild);
+  /**
+   * Open a popup automatically according to its data-trigger (exit-intent,
+   * delay or scroll). With data-show-once it opens at most once per session.
+   * @returns {Function} Removes the trigger's listeners and timers
+   */
+  function setupPopupTrigger(popup) {
+    const trigger = popup.getAttribute('data-trigger');
+    if (!trigger || trigger === 'click') return () => {};
 
-      // Ensure content is above video
-      const contentWrapper = section.querySelector(':scope > div:not(.cf-video-background):not(.cf-overlay)');
-      if (contentWrapper) {
-        contentWrapper.style.position = 'relative';
-        contentWrapper.style.zIndex = '2';
+    const storageKey = `cf-popup-shown:${popup.id || 'default'}`;
+    const showOnce = popup.getAttribute('data-show-once') === 'true';
+    const alreadyShown = () => {
+      try {
+        return window.sessionStorage.getItem(storageKey) === 'true';
+      } catch (e) {
+        return false;
       }
-
-      // Handle mobile visibility
-      if (hideMobile) {
-        const style = document.createElement('style');
-        style.textContent = `
-          @media (max-width: 768px) {
-            .cf-video-background {
-              display: none;
-            }
-          }
-        `;
-        if (!document.getElementById('cf-video-bg-mobile-styles')) {
-          style.id = 'cf-video-bg-mobile-styles';
-          document.head.appendChild(style);
+    };
+    if (showOnce && alreadyShown()) return () => {};
+
+    let teardown = () => {};
+    const fire = () => {
+      teardown();
+      if (isPopupOpen(popup) || (showOnce && alreadyShown())) return;
+      openPopup(popup);
+      if (showOnce) {
+        try {
+          window.sessionStorage.setItem(storageKey, 'true');
+        } catch (e) {
+          // Storage unavailable: the popup may show again on the next page view
         }
       }
-    });
+    };
+
+    if (trigger === 'delay') {
+      const delay = parseFloat(popup.getAttribute('data-delay'));
+      const timer = setTimeout(fire, (isNaN(delay) ? 5 : delay) * 1000);
+      teardown = () => clearTimeout(timer);
+    } else if (trigger === 'scroll') {
+      const percent = parseFloat(popup.getAttribute('data-scroll-percent'));
+      const threshold = isNaN(percent) ? 50 : percent;
+      const onScroll = () => {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const depth = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+        if (depth >= threshold) fire();
+      };
+      window.addEventListener('scroll', onScroll, { passive: true });
+      teardown = () => window.removeEventListener('scroll', onScroll);
+    } else if (trigger === 'exit-intent') {
+      // Pointer leaving through the top of the window, towards the tab bar
+      const onMouseOut = (e) => {
+        if (!e.relatedTarget && e.clientY <= 0) fire();
+      };
+      document.addEventListener('mouseout', onMouseOut);
+      teardown = () => document.removeEventListener('mouseout', onMouseOut);
+    }
+
+    return () => teardown();
   }
 
   /**
-   * Inject CSS for video background styling
+   * Initialize popup functionality
+   * - Buttons with action="popup" open the popup named by data-popup
+   *   (or the default popup)
+   * - Close button and overlay click close the popup
+   * - Escape key closes the popup, Tab stays inside it while open
+   * - Focus returns to the opening button on close
+   * - data-trigger opens the popup on exit intent, after a delay or on scroll
+   * @param {Document|Element} root - Container holding popups and buttons (default: document)
    */
-  function injectVideoBackgroundStyles() {
-    if (document.getElementById('funnelwind-video-bg-styles')) return;
+  function initPopup(root = document) {
+    queryAll(root, '.cf-popup-wrapper').forEach((popup) => {
+      if (isInitialized(popup, 'popup')) return;
+
+      // Close on overlay click (but not modal itself)
+      const onOverlayClick = (e) => {
+        if (e.target === popup) {
+          closePopup(popup);
+        }
+      };
+      popup.addEventListener('click', onOverlayClick);
+
+      const closeButton = popup.querySelector('.cf-popup-close');
+      const onCloseClick = () => closePopup(popup);
+      if (closeButton) closeButton.addEventListener('click', onCloseClick);
+
+      // Close on Escape key, keep Tab inside the topmost open popup
+      const onKeydown = (e) => {
+        if (!isPopupOpen(popup) || !isTopPopup(popup)) return;
+        if (e.key === 'Escape') {
+          closePopup(popup);
+        } else if (e.key === 'Tab') {
+          trapFocus(popup, e);
+        }
+      };
+      document.addEventListener('keydown', onKeydown);
+
+      // Name the dialog after its first heading
+      const modal = popup.querySelector('.cf-popup-modal');
+      const heading = modal && modal.querySelector('h1, h2, h3, h4, h5, h6');
+      const labelled = !!heading && !modal.hasAttribute('aria-label') && !modal.hasAttribute('aria-labelledby');
+      if (labelled) modal.setAttribute('aria-label', heading.textContent.trim());
+
+      const teardownTrigger = setupPopupTrigger(popup);
+
+      // Single-popup global kept for pages written against it
+      const isDefault = popup === findPopup(null, popupScope(popup, root));
+      if (isDefault) window.FunnelWindPopup = popups;
+
+      onDestroy(popup, 'popup', () => {
+        popup.removeEventListener('click', onOverlayClick);
+        if (closeButton) closeButton.removeEventListener('click', onCloseClick);
+        document.removeEventListener('keydown', onKeydown);
+        teardownTrigger();
+        if (labelled) modal.removeAttribute('aria-label');
+        // Release the scroll lock along with the runtime
+        if (isPopupOpen(popup)) closePopup(popup);
+        if (isDefault && window.FunnelWindPopup === popups) delete window.FunnelWindPopup;
+      });
+    });
 
-    const style = document.createElement('style');
-    style.id = 'funnelwind-video-bg-styles';
-    style.textContent = `
-      /* Video background container */
-      .cf-video-background {
-        position: absolute;
-        inset: 0;
-        overflow: hidden;
-        z-index: 0;
-        pointer-events: none;
-      }
+    // Set up buttons with action="popup" (data attribute after rendering)
+    queryAll(root, '[data-action="popup"]').forEach((button) => {
+      if (isInitialized(button, 'popup-button')) return;
 
-      .cf-video-background iframe {
-        border: none;
+      const id = button.getAttribute('data-popup');
+      const scope = popupScope(button, root);
+      if (id && !findPopup(id, scope)) {
+        console.warn(`FunnelWind: popup button targets element-id "${id}", which is not a popup on the page`);
       }
 
-      /* Ensure section content stays above video */
-      [data-video-bg-url] > *:not(.cf-video-background):not(.cf-overlay) {
-        position: relative;
-        z-index: 2;
-      }
-    `;
-    document.head.appendChild(style);
+      const onClick = (e) => {
+        e.preventDefault();
+        const popup = findPopup(id, scope);
+        if (popup) openPopup(popup, button.querySelector('a') || button);
+      };
+      button.addEventListener('click', onClick);
+
+      onDestroy(button, 'popup-button', () => button.removeEventListener('click', onClick));
+    });
   }
 
   // ==========================================================================
-  // INITIALIZATION - Process elements in correct order (leaf-first)
+  // VIDEO POPUP - Play VideoPopup/V1 videos in a lightbox
   // ==========================================================================
 
+  // The open lightbox: { overlay, opener, bodyOverflow, onKeydown }
+  let videoLightbox = null;
+
   /**
-   * Initialize FunnelWind - transforms all cf-* elements
-   * Call this after DOM is ready or after dynamic content is added
-   */
-  function initFunnelWind() {
-    // Process from innermost to outermost (reverse order)
-    const tagOrder = [
-      // Elements first (innermost)
-      "cf-icon",
-      "cf-divider",
-      "cf-image",
-      "cf-video",
-      "cf-headline",
-      "cf-subheadline",
-      "cf-paragraph",
-      "cf-button",
-      "cf-input",
-      "cf-textarea",
-      "cf-select",
-      "cf-checkbox",
-      "cf-bullet-list",
-      "cf-progress-bar",
-      "cf-video-popup",
-      "cf-countdown",
-      // Placeholders
-      "cf-checkout-placeholder",
-      "cf-order-summary-placeholder",
-      "cf-confirmation-placeholder",
-      // Then containers
-      "cf-flex",
-      "cf-col-inner",
-      "cf-col",
-      "cf-row",
-      "cf-section",
-      "cf-popup",
-      "cf-page",
-    ];
-
-    tagOrder.forEach((tag) => {
-      document.querySelectorAll(tag).forEach((el) => {
-        if (el.render && !el._rendered) {
-          el.render();
-          el._rendered = true;
-        }
-      });
-    });
+   * Open a lightbox playing a video; only one can be open at a time
+   * @param {string} url - YouTube, Vimeo, Wistia or MP4 URL
+   * @param {string} overlayBg - Overlay background color
+   * @param {Element} opener - Gets focus back on close
+   */
+  function openVideoLightbox(url, overlayBg, opener) {
+    const video = parseVideoUrl(url);
+    if (!video) return;
+    closeVideoLightbox();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cf-video-lightbox';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Video');
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: ${overlayBg || 'rgba(0,0,0,0.8)'};
+      z-index: 10000;
+    `;
 
-    // Mark all cf-page elements as rendered to show content (FOUC prevention)
-    document.querySelectorAll('cf-page').forEach((page) => {
-      page.setAttribute('data-rendered', 'true');
-    });
+    const frame = document.createElement('div');
+    frame.style.cssText = `
+      position: relative;
+      width: min(960px, 90vw);
+      aspect-ratio: 16 / 9;
+    `;
 
-    // Initialize animations, popup, and other functionality after elements are rendered
-    // Small delay to ensure DOM is fully updated
-    requestAnimationFrame(() => {
-      loadAnimateCSS().then(initAnimations);
-      initPopup();
+    frame.innerHTML = videoPlayerHtml(
+      video,
+      { autoplay: true },
+      'position: absolute; inset: 0; width: 100%; height: 100%; border: none; background: #000;'
+    );
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'cf-video-lightbox-close';
+    closeButton.setAttribute('aria-label', 'Close video');
+    closeButton.innerHTML = '&times;';
+    closeButton.style.cssText = `
+      position: absolute;
+      top: -40px;
+      right: 0;
+      width: 32px;
+      height: 32px;
+      border: none;
+      background: none;
+      color: #ffffff;
+      font-size: 32px;
+      line-height: 1;
+      cursor: pointer;
+    `;
+
+    frame.appendChild(closeButton);
+    overlay.appendChild(frame);
+
+    // Close on overlay click (but not the video), close button and Escape
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay || e.target === closeButton) closeVideoLightbox();
     });
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') closeVideoLightbox();
+    };
+    document.addEventListener('keydown', onKeydown);
+
+    videoLightbox = { overlay, opener, bodyOverflow: document.body.style.overflow, onKeydown };
+    document.body.style.overflow = 'hidden';
+    document.body.appendChild(overlay);
+    closeButton.focus();
   }
 
   /**
-   * Initialize popup functionality
-   * - Buttons with action="show-popup" open the popup
-   * - Close button and overlay click close the popup
-   * - Escape key closes the popup
+   * Close the lightbox; removing the player stops playback
    */
-  function initPopup() {
-    const popup = document.querySelector('.cf-popup-wrapper');
-    if (!popup) return;
+  function closeVideoLightbox() {
+    if (!videoLightbox) return;
+    const { overlay, opener, bodyOverflow, onKeydown } = videoLightbox;
+    videoLightbox = null;
+
+    overlay.remove();
+    document.removeEventListener('keydown', onKeydown);
+    document.body.style.overflow = bodyOverflow;
+    if (opener && opener.isConnected) opener.focus();
+  }
 
-    // Show popup function
-    const showPopup = () => {
-      popup.style.display = 'flex';
-    };
+  /**
+   * Look up a thumbnail through the host's oEmbed endpoint (Vimeo, Wistia)
+   * @returns {Promise<string>} Thumbnail URL, or "" if there is none
+   */
+  function fetchVideoThumbnail(video) {
+    const provider = video && VIDEO_PROVIDERS[video.type];
+    if (!provider || !provider.oembed || typeof fetch !== 'function') return Promise.resolve('');
+
+    return fetch(`${provider.oembed}?url=${encodeURIComponent(video.url)}`)
+      .then((response) => (response.ok ? response.json() : {}))
+      .then((data) => data.thumbnail_url || '')
+      .catch(() => '');
+  }
 
-    // Hide popup function
-    const hidePopup = () => {
-      popup.style.display = 'none';
-    };
+  /**
+   * Make VideoPopup/V1 thumbnails open their video in a lightbox
+   * (click, or Enter/Space when focused)
+   * @param {Document|Element} root - Only initialize inside this subtree (default: document)
+   */
+  function initVideoPopups(root = document) {
+    queryAll(root, '[data-type="VideoPopup/V1"]').forEach((videoPopup) => {
+      if (isInitialized(videoPopup, 'video-popup')) return;
+
+      const thumbnail = videoPopup.querySelector('.elImageWrapper');
+      if (!thumbnail) return;
+
+      // Vimeo and Wistia thumbnails can't be derived from the URL
+      const image = thumbnail.querySelector('img.elImage');
+      if (image && !image.getAttribute('src')) {
+        fetchVideoThumbnail(parseVideoUrl(videoPopup.getAttribute('data-video-url'))).then((src) => {
+          if (src && !image.getAttribute('src')) image.setAttribute('src', src);
+        });
+      }
 
-    // Set up buttons with action="popup" (data attribute after rendering)
-    document.querySelectorAll('[data-action="popup"]').forEach(btn => {
-      btn.addEventListener('click', (e) => {
+      const open = () => openVideoLightbox(
+        videoPopup.getAttribute('data-video-url'),
+        videoPopup.getAttribute('data-overlay-bg'),
+        thumbnail
+      );
+      const onClick = (e) => {
         e.preventDefault();
-        showPopup();
-      });
-    });
-
-    // Close on overlay click (but not modal itself)
-    popup.addEventListener('click', (e) => {
-      if (e.target === popup) {
-        hidePopup();
-      }
-    });
+        open();
+      };
+      const onKeydown = (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          open();
+        }
+      };
 
-    // Close on Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && popup.style.display === 'flex') {
-        hidePopup();
-      }
+      thumbnail.setAttribute('role', 'button');
+      thumbnail.setAttribute('tabindex', '0');
+      thumbnail.setAttribute('aria-label', 'Play video');
+      thumbnail.addEventListener('click', onClick);
+      thumbnail.addEventListener('keydown', onKeydown);
+
+      onDestroy(videoPopup, 'video-popup', () => {
+        thumbnail.removeEventListener('click', onClick);
+        thumbnail.removeEventListener('keydown', onKeydown);
+        ['role', 'tabindex', 'aria-label'].forEach((name) => thumbnail.removeAttribute(name));
+        if (videoLightbox && videoLightbox.opener === thumbnail) closeVideoLightbox();
+      });
     });
-
-    // Expose popup control functions globally
-    window.FunnelWindPopup = {
-      show: showPopup,
-      hide: hidePopup,
-      toggle: () => {
-        if (popup.style.display === 'flex') {
-          hidePopup();
-        } else {
-          showPopup();
-        }
-      }
-    };
   }
 
   // Auto-initialize when DOM is ready
-  if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", () => {
-      loadGoogleFonts();  // Load fonts before rendering
-      styleguideManager.init();
-      brandAssetsManager.init();
-      initFunnelWind();
-      // Initialize video backgrounds after rendering
-      requestAnimationFrame(() => {
-        injectVideoBackgroundStyles();
-        initVideoBackgrounds();
-      });
-    });
-  } else {
-    // DOM already ready, use requestAnimationFrame to ensure all elements are parsed
-    requestAnimationFrame(() => {
-      loadGoogleFonts();  // Load fonts before rendering
+  if (isBrowser) {
+    const autoInit = () => {
       styleguideManager.init();
       brandAssetsManager.init();
       initFunnelWind();
-      // Initialize video backgrounds after rendering
-      requestAnimationFrame(() => {
-        injectVideoBackgroundStyles();
-        initVideoBackgrounds();
-      });
-    });
+    };
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", autoInit);
+    } else {
+      // DOM already ready, use requestAnimationFrame to ensure all elements are parsed
+      requestAnimationFrame(autoInit);
+    }
   }
 
   // Expose for manual re-initialization and styleguide management
-  window.FunnelWind = {
+  const FunnelWind = {
     init: initFunnelWind,
+    destroy: destroyFunnelWind,
     initAnimations: initAnimations,
     loadAnimateCSS: loadAnimateCSS,
     loadGoogleFonts: loadGoogleFonts,
     initVideoBackgrounds: initVideoBackgrounds,
+    initCountdowns: initCountdowns,
+    initButtonActions: initButtonActions,
+    initForms: initForms,
+    initCheckboxes: initCheckboxes,
+    initRadioGroups: initRadioGroups,
+    initVideoPopups: initVideoPopups,
+    popups: popups,
+    startAutoRender: startAutoRender,
+    stopAutoRender: stopAutoRender,
+    renderToString: renderToString,
+    parseMarkup: parseMarkup,
+    exportPagetree: exportPagetree,
+    importPagetree: importPagetree,
+    serialize: serialize,
+    schema: getSchema,
+    lint: lint,
+    validate: validateStructure,
     elements: elements,
     StyleguideManager: styleguideManager,
     BrandAssetsManager: brandAssetsManager,
@@ -4771,7 +8852,16 @@
     },
   };
 
-  // Also expose StyleguideManager globally for direct access
-  window.StyleguideManager = styleguideManager;
-  window.BrandAssetsManager = brandAssetsManager;
+  if (isBrowser) {
+    window.FunnelWind = FunnelWind;
+
+    // Also expose StyleguideManager globally for direct access
+    window.StyleguideManager = styleguideManager;
+    window.BrandAssetsManager = brandAssetsManager;
+  }
+
+  // CommonJS (Node build pipelines): require("cf-elements").renderToString(...)
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = FunnelWind;
+  }
 })();
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, nextFrame } = require("./helpers");
+
+const SECTION = `
+  <cf-section><cf-row><cf-col>
+    <cf-headline>Streamed</cf-headline>
+    <cf-button action="scroll" scroll-target="target">Go</cf-button>
+  </cf-col></cf-row></cf-section>
+  <div id="target"></div>
+`;
+
+test("inserted cf-* subtrees are rendered and initialized", async (t) => {
+  const window = await createPage('<div id="chat"></div>');
+  t.after(() => window.close());
+  const { document, FunnelWind } = window;
+  const chat = document.getElementById("chat");
+  FunnelWind.startAutoRender(chat);
+
+  const message = document.createElement("div");
+  message.innerHTML = SECTION;
+  chat.appendChild(message);
+  await Promise.resolve();
+
+  assert.equal(message.querySelector("cf-section, cf-headline"), null);
+  assert.ok(message.querySelector('[data-type="SectionContainer/V1"] [data-type="Headline/V1"]'));
+
+  await nextFrame(window);
+  const button = message.querySelector('[data-type="Button/V1"]');
+  let scrolled = 0;
+  window.Element.prototype.scrollIntoView = () => { scrolled++; };
+  button.querySelector("a").click();
+  assert.equal(scrolled, 1);
+});
+
+test("elements added to rendered output are rendered on their own", async (t) => {
+  const window = await createPage(`<div id="chat">${SECTION}</div>`);
+  t.after(() => window.close());
+  const { document, FunnelWind } = window;
+  FunnelWind.startAutoRender(document.getElementById("chat"));
+
+  const inner = document.querySelector(".col-inner");
+  inner.insertAdjacentHTML("beforeend", "<cf-paragraph>More</cf-paragraph>");
+  await Promise.resolve();
+
+  assert.equal(document.querySelector("cf-paragraph"), null);
+  assert.equal(inner.lastElementChild.getAttribute("data-type"), "Paragraph/V1");
+});
+
+test("stopAutoRender leaves later insertions alone", async (t) => {
+  const window = await createPage('<div id="chat"></div>');
+  t.after(() => window.close());
+  const { document, FunnelWind } = window;
+  const chat = document.getElementById("chat");
+  FunnelWind.startAutoRender(chat);
+  FunnelWind.stopAutoRender();
+
+  chat.innerHTML = "<cf-headline>Later</cf-headline>";
+  await Promise.resolve();
+  assert.ok(chat.querySelector("cf-headline"));
+});
+
+test("a streamed popup opens from its streamed button", async (t) => {
+  const window = await createPage('<div id="chat"></div>');
+  t.after(() => window.close());
+  const { document, FunnelWind } = window;
+  const chat = document.getElementById("chat");
+  FunnelWind.startAutoRender(chat);
+
+  chat.insertAdjacentHTML("beforeend", `
+    <div class="message">
+      <cf-section><cf-row><cf-col>
+        <cf-button action="popup">Open</cf-button>
+      </cf-col></cf-row></cf-section>
+      <cf-popup><cf-section><cf-row><cf-col>
+        <cf-headline>Offer</cf-headline>
+      </cf-col></cf-row></cf-section></cf-popup>
+    </div>
+  `);
+  await Promise.resolve();
+  await nextFrame(window);
+
+  chat.querySelector('[data-action="popup"] a').click();
+  assert.equal(chat.querySelector(".cf-popup-wrapper").style.display, "flex");
+});
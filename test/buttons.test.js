@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage } = require("./helpers");
+
+const PAGE = `
+  <cf-section><cf-row><cf-col>
+    <cf-button action="show-hide" show-ids="details" hide-ids="teaser">More</cf-button>
+    <cf-button action="scroll" scroll-target="details">Jump</cf-button>
+    <cf-headline element-id="teaser">Teaser</cf-headline>
+    <cf-paragraph element-id="details">Details</cf-paragraph>
+  </cf-col></cf-row></cf-section>
+`;
+
+const click = (window, action) =>
+  window.document.querySelector(`[data-type="Button/V1"][data-action="${action}"] a`).click();
+const display = (window, id) => window.document.getElementById(id).style.display;
+
+test("show-hide buttons reveal and hide their targets", async (t) => {
+  const window = await createPage(PAGE);
+  t.after(() => window.close());
+
+  assert.equal(display(window, "details"), "none");
+  assert.notEqual(display(window, "teaser"), "none");
+
+  click(window, "show-hide");
+  assert.notEqual(display(window, "details"), "none");
+  assert.equal(display(window, "teaser"), "none");
+});
+
+test("scroll buttons smooth-scroll to their target", async (t) => {
+  const window = await createPage(PAGE);
+  t.after(() => window.close());
+
+  const calls = [];
+  window.Element.prototype.scrollIntoView = function (options) { calls.push([this.id, options]); };
+  click(window, "scroll");
+  assert.deepEqual(calls, [["details", { behavior: "smooth", block: "start" }]]);
+});
+
+test("destroy restores what the buttons toggled", async (t) => {
+  const window = await createPage(PAGE);
+  t.after(() => window.close());
+
+  click(window, "show-hide");
+  window.FunnelWind.destroy(window.document);
+  assert.equal(display(window, "details"), "");
+  assert.equal(display(window, "teaser"), "");
+});
+
+test("buttons warn about element-ids that are not on the page", async (t) => {
+  const window = await createPage(`
+    <cf-button action="show-hide" show-ids="nowhere">More</cf-button>
+  `);
+  t.after(() => window.close());
+
+  const warnings = [];
+  window.console.warn = (message) => warnings.push(message);
+  window.FunnelWind.destroy(window.document);
+  window.FunnelWind.initButtonActions(window.document);
+  assert.deepEqual(warnings, ['FunnelWind: show-hide button targets element-id "nowhere", which is not on the page']);
+});
+
+test("rows and flex containers come back with their rendered layout", async (t) => {
+  const window = await createPage(`
+    <cf-section>
+      <cf-row><cf-col>
+        <cf-button action="show-hide" show-ids="plans,perks">Show plans</cf-button>
+        <cf-flex element-id="perks"><cf-headline>Perk</cf-headline></cf-flex>
+      </cf-col></cf-row>
+      <cf-row element-id="plans">
+        <cf-col span="6"><cf-headline>Basic</cf-headline></cf-col>
+        <cf-col span="6"><cf-headline>Pro</cf-headline></cf-col>
+      </cf-row>
+    </cf-section>
+  `);
+  t.after(() => window.close());
+
+  assert.equal(display(window, "plans"), "none");
+  assert.equal(display(window, "perks"), "none");
+  click(window, "show-hide");
+  assert.equal(display(window, "plans"), "flex");
+  assert.equal(display(window, "perks"), "flex");
+});
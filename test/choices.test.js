@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+const { createPage } = require("./helpers");
+
+test("checkboxes draw their initial state inline", () => {
+  const html = FunnelWind.renderToString(`
+    <cf-checkbox name="terms" checked="true" checked-bg="#16a34a">I agree</cf-checkbox>
+    <cf-checkbox name="news">News</cf-checkbox>
+  `);
+  const [checked, unchecked] = html.split('data-type="Checkbox/V1"').slice(1);
+  assert.match(checked, /data-checked="true"[^>]*data-checked-bg="#16a34a"/);
+  assert.match(checked, /--cf-checkbox-checked-bg: #16a34a;[^"]*background-color: #16a34a/);
+  assert.match(checked, /cf-checkbox-check" style="[^"]*display: inline-block/);
+  assert.doesNotMatch(unchecked, /data-checked/);
+  assert.match(unchecked, /--cf-checkbox-checked-bg: #3b82f6;[^"]*background-color: #ffffff/);
+  assert.match(unchecked, /cf-checkbox-check" style="[^"]*display: none/);
+});
+
+test("the checkbox runtime injects its styles once and tracks data-checked", async (t) => {
+  const window = await createPage(`
+    <cf-checkbox name="news">News</cf-checkbox>
+    <cf-checkbox name="terms">Terms</cf-checkbox>
+  `);
+  t.after(() => window.close());
+  const { document } = window;
+
+  assert.equal(document.querySelectorAll("#funnelwind-checkbox-styles").length, 1);
+  const checkbox = document.querySelector('[data-type="Checkbox/V1"]');
+  const input = checkbox.querySelector("input");
+
+  input.click();
+  assert.equal(checkbox.getAttribute("data-checked"), "true");
+  input.click();
+  assert.equal(checkbox.hasAttribute("data-checked"), false);
+
+  window.FunnelWind.destroy(document);
+  input.click();
+  assert.equal(checkbox.hasAttribute("data-checked"), false);
+});
+
+const optionsOf = (html) =>
+  Array.from(html.matchAll(/<option value="([^"]*)"( selected)?>([^<]*)<\/option>/g))
+    .map(([, value, selected, label]) => [label, value, !!selected]);
+
+test("selects take their options from an options attribute", () => {
+  const list = FunnelWind.renderToString('<cf-select name="plan" options="Basic|basic, Pro|pro, Team"></cf-select>');
+  assert.deepEqual(optionsOf(list).slice(1), [["Basic", "basic", false], ["Pro", "pro", false], ["Team", "Team", false]]);
+
+  const json = FunnelWind.renderToString(`<cf-select name="plan" options='[{"label":"Pro","value":"pro","selected":true},"Team"]'></cf-select>`);
+  assert.deepEqual(optionsOf(json).slice(1), [["Pro", "pro", true], ["Team", "Team", false]]);
+});
+
+test("selects take cf-option and option children", () => {
+  const html = FunnelWind.renderToString(`
+    <cf-select name="size">
+      <cf-option value="s">Small</cf-option>
+      <option value="m" selected>Medium</option>
+    </cf-select>
+  `);
+  assert.deepEqual(optionsOf(html).slice(1), [["Small", "s", false], ["Medium", "m", true]]);
+});
+
+test("a select's value attribute picks the selected option", () => {
+  const html = FunnelWind.renderToString('<cf-select name="plan" options="A|a, B|b" value="b"></cf-select>');
+  assert.deepEqual(optionsOf(html).slice(1), [["A", "a", false], ["B", "b", true]]);
+
+  const children = FunnelWind.renderToString(`
+    <cf-select name="size" value="s">
+      <cf-option value="s">Small</cf-option>
+      <cf-option value="m" selected>Medium</cf-option>
+    </cf-select>
+  `);
+  assert.deepEqual(optionsOf(children).slice(1), [["Small", "s", true], ["Medium", "m", false]]);
+});
+
+test("radio groups render their options and check the value", () => {
+  const html = FunnelWind.renderToString(`
+    <cf-radio-group name="shipping" value="express" direction="horizontal" required>
+      <cf-option value="standard">Standard</cf-option>
+      <cf-option value="express">Express</cf-option>
+    </cf-radio-group>
+  `);
+  assert.match(html, /data-type="RadioGroup\/V1" data-name="shipping" data-value="express" data-required="true" data-direction="horizontal"/);
+  assert.match(html, /role="radiogroup"/);
+  assert.match(html, /name="shipping" value="standard"(?![^>]*checked)[^>]*required/);
+  assert.match(html, /name="shipping" value="express"[^>]*checked[^>]*required/);
+});
+
+test("the radio group runtime keeps data-value on the selected option", async (t) => {
+  const window = await createPage('<cf-radio-group name="color" options="Red|red, Blue|blue"></cf-radio-group>');
+  t.after(() => window.close());
+
+  const group = window.document.querySelector('[data-type="RadioGroup/V1"]');
+  group.querySelector('input[value="blue"]').click();
+  assert.equal(group.getAttribute("data-value"), "blue");
+  group.querySelector('input[value="red"]').click();
+  assert.equal(group.getAttribute("data-value"), "red");
+});
+
+// Node ids are random, so compare trees without them
+const stripIds = (node) =>
+  JSON.stringify(node, (key, value) => (key === "id" || key === "parentId" ? undefined : value));
+
+test("options survive a pagetree round trip", () => {
+  const source = `
+    <cf-page>
+      <cf-select name="size">
+        <cf-option value="s">Small</cf-option>
+        <cf-option value="m" selected="true">Medium</cf-option>
+      </cf-select>
+      <cf-radio-group name="color" value="blue">
+        <cf-option value="red">Red</cf-option>
+        <cf-option value="blue">Blue</cf-option>
+      </cf-radio-group>
+    </cf-page>
+  `;
+  const tree = FunnelWind.exportPagetree(FunnelWind.renderToString(source));
+  const markup = FunnelWind.importPagetree(tree);
+  assert.match(markup, /<cf-option value="m" selected="true">Medium<\/cf-option>/);
+  assert.equal(stripIds(FunnelWind.exportPagetree(FunnelWind.renderToString(markup)).content), stripIds(tree.content));
+});
+
+test("unnamed radio groups stay separate radio sets", async (t) => {
+  const window = await createPage(`
+    <cf-radio-group options="Red|red, Blue|blue"></cf-radio-group>
+    <cf-radio-group options="Small|s, Large|l"></cf-radio-group>
+  `);
+  t.after(() => window.close());
+
+  const [colors, sizes] = window.document.querySelectorAll('[data-type="RadioGroup/V1"]');
+  assert.notEqual(colors.getAttribute("data-name"), sizes.getAttribute("data-name"));
+  const blue = colors.querySelector('input[value="blue"]');
+  blue.click();
+  sizes.querySelector('input[value="l"]').click();
+  assert.ok(blue.checked);
+  assert.equal(colors.getAttribute("data-value"), "blue");
+});
@@ -0,0 +1,192 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+const { createPage, nextFrame, wait } = require("./helpers");
+
+// A deadline far enough away that the countdown never runs out mid-test
+const END_DATE = `${new Date().getFullYear() + 1}-01-01`;
+
+test("a live countdown keeps ticking after an attribute change", async (t) => {
+  const window = await createPage(`
+    <cf-page live>
+      <cf-section><cf-row><cf-col>
+        <cf-countdown end-date="${END_DATE}" timezone="UTC"></cf-countdown>
+      </cf-col></cf-row></cf-section>
+    </cf-page>
+  `);
+  t.after(() => window.close());
+
+  const host = window.document.querySelector("cf-countdown");
+  host.setAttribute("show-days", "false");
+  await nextFrame(window);
+
+  const countdown = window.document.querySelector('[data-type="Countdown/V1"]');
+  const amounts = () => Array.from(countdown.querySelectorAll(".elCountdownAmount[data-unit]"))
+    .map((amount) => amount.textContent);
+
+  assert.ok(countdown.isConnected);
+  assert.equal(countdown.querySelector('[data-unit="days"]'), null);
+  assert.notDeepEqual(amounts(), ["00", "00", "00"]);
+
+  const before = countdown.querySelector('[data-unit="seconds"]').textContent;
+  await wait(1100);
+  assert.notEqual(countdown.querySelector('[data-unit="seconds"]').textContent, before);
+});
+
+test("a countdown counts down to its deadline", async (t) => {
+  const window = await createPage(`
+    <cf-countdown end-date="${END_DATE}" timezone="UTC"></cf-countdown>
+  `);
+  t.after(() => window.close());
+
+  const countdown = window.document.querySelector('[data-type="Countdown/V1"]');
+  const days = Number(countdown.querySelector('[data-unit="days"]').textContent);
+  const expected = Math.floor((Date.parse(`${END_DATE}T00:00:00Z`) - Date.now()) / 86400000);
+  assert.ok(Math.abs(days - expected) <= 1, `${days} days, expected about ${expected}`);
+});
+
+test("destroy stops a countdown and resets it", async (t) => {
+  const window = await createPage(`
+    <cf-countdown end-date="${END_DATE}" timezone="UTC"></cf-countdown>
+  `);
+  t.after(() => window.close());
+
+  window.FunnelWind.destroy(window.document);
+  const amounts = Array.from(window.document.querySelectorAll(".elCountdownAmount[data-unit]"));
+  assert.ok(amounts.every((amount) => amount.textContent === "00"));
+});
+
+test("a countdown removed from the page releases what it hid", async (t) => {
+  const window = await createPage(`
+    <cf-section><cf-row><cf-col>
+      <cf-countdown end-date="${END_DATE}" timezone="UTC" show-ids="sold-out"></cf-countdown>
+      <cf-headline element-id="sold-out">Sold out</cf-headline>
+    </cf-col></cf-row></cf-section>
+  `);
+  t.after(() => window.close());
+
+  const target = window.document.getElementById("sold-out");
+  assert.equal(target.style.display, "none");
+
+  window.document.querySelector('[data-type="Countdown/V1"]').remove();
+  await wait(1100);
+  assert.equal(target.style.display, "");
+});
+
+const remainingSeconds = (countdown) =>
+  ["days", "hours", "minutes", "seconds"].reduce((total, unit, i) =>
+    total + Number(countdown.querySelector(`[data-unit="${unit}"]`).textContent) * [86400, 3600, 60, 1][i], 0);
+
+test("an evergreen countdown runs from the visitor's first visit", async (t) => {
+  const window = await createPage(`
+    <cf-countdown element-id="offer" mode="evergreen" duration-minutes="15"></cf-countdown>
+  `);
+  t.after(() => window.close());
+  const countdown = window.document.getElementById("offer");
+
+  const stored = Number(window.localStorage.getItem("cf-countdown-start:offer"));
+  assert.ok(Math.abs(stored - Date.now()) < 5000);
+  assert.ok(Math.abs(remainingSeconds(countdown) - 15 * 60) <= 2);
+
+  // A returning visitor who arrived ten minutes ago
+  window.localStorage.setItem("cf-countdown-start:offer", String(Date.now() - 10 * 60000));
+  window.FunnelWind.destroy(window.document);
+  window.FunnelWind.init(window.document);
+  await nextFrame(window);
+  assert.ok(Math.abs(remainingSeconds(countdown) - 5 * 60) <= 2);
+});
+
+test("a daily countdown runs to today's end-time", async (t) => {
+  const window = await createPage(`
+    <cf-countdown mode="daily" end-time="00:00:00" timezone="UTC"></cf-countdown>
+  `);
+  t.after(() => window.close());
+
+  const countdown = window.document.querySelector('[data-type="Countdown/V1"]');
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  const expected = Math.floor((midnight - now.getTime()) / 1000);
+  assert.equal(countdown.querySelector('[data-unit="days"]').textContent, "00");
+  assert.ok(Math.abs(remainingSeconds(countdown) - expected) <= 2);
+});
+
+test("countdown modes survive a pagetree round trip", () => {
+  const source = '<cf-countdown element-id="offer" mode="evergreen" duration-hours="1" duration-minutes="30"></cf-countdown>';
+  const markup = FunnelWind.importPagetree(FunnelWind.exportPagetree(FunnelWind.renderToString(source)));
+  assert.match(markup, /<cf-countdown element-id="offer" mode="evergreen" duration-hours="1" duration-minutes="30"><\/cf-countdown>/);
+});
+
+test("an expired countdown toggles elements, opens its popup and redirects", async (t) => {
+  const window = await createPage(`
+    <cf-page>
+      <cf-section><cf-row><cf-col>
+        <cf-countdown element-id="timer" mode="evergreen" duration-seconds="1"
+          hide-ids="offer" show-ids="sold-out" open-popup="late" redirect="#expired"></cf-countdown>
+        <cf-headline element-id="offer">Offer</cf-headline>
+        <cf-headline element-id="sold-out">Sold out</cf-headline>
+      </cf-col></cf-row></cf-section>
+      <cf-popup element-id="late"><cf-section><cf-row><cf-col>
+        <cf-headline>Too late</cf-headline>
+      </cf-col></cf-row></cf-section></cf-popup>
+    </cf-page>
+  `);
+  t.after(() => window.close());
+  const { document } = window;
+
+  assert.equal(document.getElementById("sold-out").style.display, "none");
+  assert.notEqual(document.getElementById("offer").style.display, "none");
+
+  await wait(2100);
+  assert.equal(document.getElementById("offer").style.display, "none");
+  assert.notEqual(document.getElementById("sold-out").style.display, "none");
+  assert.equal(document.getElementById("late").style.display, "flex");
+  assert.equal(window.location.hash, "#expired");
+});
+
+test("a row revealed on expiry keeps its flex layout", async (t) => {
+  const window = await createPage(`
+    <cf-section>
+      <cf-row><cf-col>
+        <cf-countdown mode="evergreen" duration-seconds="1" show-ids="late-offer"></cf-countdown>
+      </cf-col></cf-row>
+      <cf-row element-id="late-offer">
+        <cf-col span="6"><cf-headline>Late</cf-headline></cf-col>
+        <cf-col span="6"><cf-headline>Offer</cf-headline></cf-col>
+      </cf-row>
+    </cf-section>
+  `);
+  t.after(() => window.close());
+
+  const row = window.document.getElementById("late-offer");
+  assert.equal(row.style.display, "none");
+  await wait(2100);
+  assert.equal(row.style.display, "flex");
+});
+
+test("on-expire maps onto the expiry action attributes", async (t) => {
+  const html = FunnelWind.renderToString(`
+    <cf-countdown end-date="${END_DATE}" hide-ids="buy" on-expire="hide-ids: price; show-ids: sold-out; redirect: https://example.com/late?from=timer; open-popup"></cf-countdown>
+  `);
+  assert.match(html, /data-redirect="https:\/\/example\.com\/late\?from=timer" data-hide-ids="buy,price" data-show-ids="sold-out" data-open-popup="true"/);
+
+  const window = await createPage(`
+    <cf-page>
+      <cf-section><cf-row><cf-col>
+        <cf-countdown mode="evergreen" duration-seconds="1" on-expire="hide-ids: offer; show-ids: sold-out; open-popup"></cf-countdown>
+        <cf-headline element-id="offer">Offer</cf-headline>
+        <cf-headline element-id="sold-out">Sold out</cf-headline>
+      </cf-col></cf-row></cf-section>
+      <cf-popup><cf-section><cf-row><cf-col>
+        <cf-headline>Too late</cf-headline>
+      </cf-col></cf-row></cf-section></cf-popup>
+    </cf-page>
+  `);
+  t.after(() => window.close());
+  const { document } = window;
+
+  assert.equal(document.getElementById("sold-out").style.display, "none");
+  await wait(2100);
+  assert.equal(document.getElementById("offer").style.display, "none");
+  assert.notEqual(document.getElementById("sold-out").style.display, "none");
+  assert.equal(document.querySelector(".cf-popup-wrapper").style.display, "flex");
+});
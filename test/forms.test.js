@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, nextFrame, wait } = require("./helpers");
+
+const FORM = `
+  <cf-section><cf-row><cf-col>
+    <cf-input type="email" required></cf-input>
+    <cf-input type="phone_number"></cf-input>
+    <cf-checkbox name="terms" required>I agree</cf-checkbox>
+    <cf-radio-group name="plan">
+      <cf-option value="basic" selected>Basic</cf-option>
+      <cf-option value="pro">Pro</cf-option>
+    </cf-radio-group>
+    <cf-button action="submit" endpoint="https://api.example.com/optin">Join</cf-button>
+  </cf-col></cf-row></cf-section>
+`;
+
+function submitButton(document) {
+  return document.querySelector('[data-type="Button/V1"] a');
+}
+
+function errors(document) {
+  return Array.from(document.querySelectorAll(".cf-field-error")).map((error) => error.textContent);
+}
+
+test("submit shows inline errors for invalid fields", async (t) => {
+  const window = await createPage(FORM);
+  t.after(() => window.close());
+  const { document } = window;
+
+  submitButton(document).click();
+  assert.deepEqual(errors(document), ["This field is required", "Please check this box"]);
+
+  const email = document.querySelector('input[name="email"]');
+  email.value = "not-an-email";
+  email.dispatchEvent(new window.Event("input", { bubbles: true }));
+  assert.deepEqual(errors(document), ["Please check this box"]);
+
+  document.querySelector('input[name="phone_number"]').value = "12";
+  submitButton(document).click();
+  assert.deepEqual(errors(document), [
+    "Please enter a valid email address",
+    "Please enter a valid phone number",
+    "Please check this box",
+  ]);
+});
+
+test("valid fields are sent as an event and posted to the endpoint", async (t) => {
+  const window = await createPage(FORM);
+  t.after(() => window.close());
+  const { document } = window;
+
+  const requests = [];
+  window.fetch = (url, options) => {
+    requests.push({ url, options });
+    return Promise.resolve({ ok: true, status: 200 });
+  };
+  let submitted = null;
+  document.addEventListener("funnelwind:submitted", (e) => { submitted = e.detail.fields; });
+
+  document.querySelector('input[name="email"]').value = "ada@example.com";
+  document.querySelector('input[name="terms"]').checked = true;
+  submitButton(document).click();
+  await wait(0);
+
+  const fields = { email: "ada@example.com", phone_number: "", terms: true, plan: "basic" };
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, "https://api.example.com/optin");
+  assert.deepEqual(JSON.parse(requests[0].options.body), fields);
+  assert.deepEqual({ ...submitted }, fields);
+});
+
+test("canceling funnelwind:submit skips the endpoint", async (t) => {
+  const window = await createPage(FORM);
+  t.after(() => window.close());
+  const { document } = window;
+
+  let posted = false;
+  window.fetch = () => { posted = true; return Promise.resolve({ ok: true }); };
+  document.addEventListener("funnelwind:submit", (e) => e.preventDefault());
+
+  document.querySelector('input[name="email"]').value = "ada@example.com";
+  document.querySelector('input[name="terms"]').checked = true;
+  submitButton(document).click();
+  await wait(0);
+  assert.equal(posted, false);
+});
+
+test("Enter submits from text inputs but not from radio buttons", async (t) => {
+  const window = await createPage(FORM);
+  t.after(() => window.close());
+  const { document } = window;
+
+  let submits = 0;
+  document.addEventListener("funnelwind:submit", (e) => { submits++; e.preventDefault(); });
+  document.querySelector('input[name="email"]').value = "ada@example.com";
+  document.querySelector('input[name="terms"]').checked = true;
+
+  const enter = (input) => input.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  enter(document.querySelector('input[name="plan"]'));
+  enter(document.querySelector('input[name="terms"]'));
+  assert.equal(submits, 0);
+
+  enter(document.querySelector('input[name="email"]'));
+  assert.equal(submits, 1);
+});
+
+test("outside a section, a scoped init only sends the fields in its root", async (t) => {
+  const window = await createPage('<div id="app"></div><div id="other"></div>');
+  t.after(() => window.close());
+  const { document } = window;
+
+  document.getElementById("other").innerHTML = '<cf-input type="first_name" required></cf-input>';
+  document.getElementById("app").innerHTML = `
+    <cf-input type="email"></cf-input>
+    <cf-button action="submit">Join</cf-button>
+  `;
+  await nextFrame(window);
+  window.FunnelWind.init(document.getElementById("app"));
+  await nextFrame(window);
+
+  let fields = null;
+  document.addEventListener("funnelwind:submit", (e) => { fields = e.detail.fields; });
+  submitButton(document).click();
+
+  assert.deepEqual(errors(document), []);
+  assert.deepEqual({ ...fields }, { email: "" });
+});
@@ -0,0 +1,44 @@
+/**
+ * Shared setup for the runtime tests: a jsdom window with cf-elements.js
+ * evaluated in it, as a page would load it from a <script> tag.
+ */
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const SOURCE = fs.readFileSync(path.join(__dirname, "..", "cf-elements.js"), "utf8");
+
+/**
+ * Create a window holding body, load FunnelWind into it and wait for the
+ * auto-init frame to run
+ * @param {string} body - Markup for <body>
+ * @returns {Promise<Window>}
+ */
+async function createPage(body) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, {
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    url: "https://example.com/page",
+  });
+  const { window } = dom;
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.console.warn = () => {};
+  window.eval(SOURCE);
+  await nextFrame(window);
+  await nextFrame(window);
+  return window;
+}
+
+function nextFrame(window) {
+  return new Promise((resolve) => window.requestAnimationFrame(() => resolve()));
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { createPage, nextFrame, wait };
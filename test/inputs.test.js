@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+
+function renderInput(attributes) {
+  const html = FunnelWind.renderToString(`<cf-input ${attributes}></cf-input>`);
+  return html.match(/<input[^>]*>/)[0];
+}
+
+test("contact input types render their HTML type, autocomplete token and placeholder", () => {
+  const input = renderInput('type="first_name"');
+  assert.match(input, /type="text"/);
+  assert.match(input, /name="first_name"/);
+  assert.match(input, /autocomplete="given-name"/);
+  assert.match(input, /placeholder="First Name"/);
+
+  assert.match(renderInput('type="phone_number"'), /type="tel"/);
+  assert.match(renderInput('type="password"'), /type="password"[^>]*autocomplete="new-password"/);
+  assert.match(renderInput('type="shipping_zip"'), /autocomplete="shipping postal-code"/);
+});
+
+test("an empty placeholder attribute turns the default placeholder off", () => {
+  assert.doesNotMatch(renderInput('type="zip" placeholder=""'), /placeholder=/);
+  assert.match(renderInput('type="zip" placeholder="ZIP"'), /placeholder="ZIP"/);
+});
+
+test("custom_type inputs are submitted under their name", () => {
+  const input = renderInput('type="custom_type" name="favorite_color"');
+  assert.match(input, /name="favorite_color"/);
+  assert.doesNotMatch(input, /autocomplete=/);
+});
+
+test("input types survive an export/import round trip", () => {
+  const source = '<cf-input type="shipping_city" placeholder="" required="true"></cf-input>';
+  const pagetree = FunnelWind.exportPagetree(FunnelWind.renderToString(source));
+  const markup = FunnelWind.importPagetree(pagetree);
+  assert.match(markup, /type="shipping_city"/);
+  assert.match(markup, /placeholder=""/);
+  assert.match(markup, /required="true"/);
+});
+
+test("full_name is a full-name field like name", () => {
+  const input = renderInput('type="full_name"');
+  assert.match(input, /name="full_name"/);
+  assert.match(input, /autocomplete="name"/);
+  assert.match(input, /placeholder="Full Name"/);
+  assert.deepEqual(FunnelWind.lint('<cf-input type="full_name"></cf-input>'), []);
+});
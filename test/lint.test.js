@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+
+const rules = (markup) => FunnelWind.lint(markup).map((diagnostic) => diagnostic.rule);
+
+test("valid markup has no diagnostics", () => {
+  assert.deepEqual(FunnelWind.lint(`
+    <cf-headline size="4xl" weight="bold">Hello</cf-headline>
+    <cf-countdown end-date="2030-01-01" hide-ids="buy" show-ids="sold-out" open-popup="true"></cf-countdown>
+  `), []);
+});
+
+test("on-expire accepts the expiry actions and flags anything else", () => {
+  assert.deepEqual(FunnelWind.lint('<cf-countdown end-date="2030-01-01" on-expire="hide-ids: buy; show-ids: sold-out; redirect: /expired; open-popup"></cf-countdown>'), []);
+
+  const diagnostics = FunnelWind.lint('<cf-countdown end-date="2030-01-01" on-expire="explode: buy; hide-ids"></cf-countdown>');
+  assert.deepEqual(diagnostics.map((d) => [d.rule, d.severity, d.attribute]), [
+    ["expiry-actions", "error", "on-expire"],
+    ["expiry-actions", "error", "on-expire"],
+  ]);
+  assert.match(diagnostics[0].fix, /hide-ids, show-ids, redirect, open-popup/);
+  assert.equal(diagnostics[1].fix, 'Write it as "hide-ids: <element-ids>"');
+});
+
+test("unknown attributes get a suggestion", () => {
+  const [diagnostic] = FunnelWind.lint('<cf-headline colr="#000">Hi</cf-headline>');
+  assert.equal(diagnostic.rule, "unknown-attribute");
+  assert.equal(diagnostic.fix, 'Use color="#000"');
+});
+
+test("new-format FontAwesome icons are errors", () => {
+  assert.deepEqual(rules('<cf-icon icon="fa-solid fa-star"></cf-icon>'), ["fontawesome-format"]);
+});
+
+test("margin-bottom and split horizontal padding are flagged", () => {
+  assert.deepEqual(rules('<cf-section mb="10px" pl="8px"></cf-section>'), ["no-margin-bottom", "unified-padding"]);
+});
+
+test("FontAwesome icons without a style class are errors", () => {
+  ["<cf-icon icon=\"fa-check\"></cf-icon>", "<cf-bullet-list icon=\"fa-check\"><li>One</li></cf-bullet-list>"]
+    .forEach((markup) => {
+      const [diagnostic] = FunnelWind.lint(markup);
+      assert.equal(diagnostic.rule, "fontawesome-format");
+      assert.equal(diagnostic.severity, "error");
+      assert.equal(diagnostic.fix, 'Use icon="fas fa-check" (or far/fab)');
+    });
+  assert.deepEqual(FunnelWind.lint('<cf-icon icon="fab fa-github"></cf-icon>'), []);
+});
+
+test("custom paint themes are warnings, not errors", () => {
+  const [diagnostic] = FunnelWind.lint('<cf-section paint="brand-midnight"></cf-section>');
+  assert.equal(diagnostic.rule, "invalid-preset");
+  assert.equal(diagnostic.severity, "warning");
+  assert.deepEqual(FunnelWind.lint('<cf-section paint="dark"></cf-section>'), []);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, nextFrame } = require("./helpers");
+
+test("a live popup button still opens its popup after an attribute change", async (t) => {
+  const window = await createPage(`
+    <cf-page live>
+      <cf-section><cf-row><cf-col>
+        <cf-button action="popup">Open</cf-button>
+      </cf-col></cf-row></cf-section>
+      <cf-popup><cf-section><cf-row><cf-col>
+        <cf-headline>Offer</cf-headline>
+      </cf-col></cf-row></cf-section></cf-popup>
+    </cf-page>
+  `);
+  t.after(() => window.close());
+
+  const host = window.document.querySelector("cf-button");
+  host.setAttribute("bg", "#ff0000");
+  await nextFrame(window);
+
+  const button = host.querySelector('[data-type="Button/V1"]');
+  assert.match(button.getAttribute("data-bg"), /ff0000/);
+  button.querySelector("a").click();
+  assert.equal(window.document.querySelector(".cf-popup-wrapper").style.display, "flex");
+});
+
+test("a re-rendered live button does not leave the old runtime attached", async (t) => {
+  const window = await createPage(`
+    <cf-page live>
+      <cf-section>
+        <cf-row><cf-col>
+          <cf-button action="scroll" scroll-target="target">Go</cf-button>
+        </cf-col></cf-row>
+      </cf-section>
+      <cf-section element-id="target"></cf-section>
+    </cf-page>
+  `);
+  t.after(() => window.close());
+
+  const host = window.document.querySelector("cf-button");
+  const oldButton = host.querySelector('[data-type="Button/V1"]');
+  host.setAttribute("color", "#00ff00");
+  await nextFrame(window);
+
+  let scrolled = 0;
+  window.Element.prototype.scrollIntoView = () => { scrolled++; };
+  oldButton.click();
+  assert.equal(scrolled, 0);
+  host.querySelector('[data-type="Button/V1"]').click();
+  assert.equal(scrolled, 1);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+
+const PAGE = `
+  <cf-page>
+    <cf-section>
+      <cf-row>
+        <cf-col>
+          <cf-headline>Hi</cf-headline>
+          <cf-button action="popup">Go</cf-button>
+        </cf-col>
+      </cf-row>
+    </cf-section>
+    <cf-popup>
+      <cf-headline>Pop</cf-headline>
+    </cf-popup>
+  </cf-page>
+`;
+
+// Node ids are random, so compare trees without them
+const stripIds = (node) =>
+  JSON.stringify(node, (key, value) => (key === "id" || key === "parentId" ? undefined : value));
+
+const exportMarkup = (markup) => FunnelWind.exportPagetree(FunnelWind.renderToString(markup));
+
+test("exportPagetree builds the content tree and popup", () => {
+  const tree = exportMarkup(PAGE);
+  assert.equal(tree.version, 1);
+  assert.equal(tree.content.type, "ContentNode");
+
+  const section = tree.content.children[0];
+  assert.equal(section.type, "SectionContainer/V1");
+  assert.equal(section.parentId, tree.content.id);
+  assert.equal(section.fractionalIndex, "a0");
+
+  const inner = section.children[0].children[0].children[0];
+  assert.equal(inner.type, "ColInner/V1");
+  assert.deepEqual(inner.children.map((child) => child.type), ["Headline/V1", "Button/V1"]);
+  assert.equal(inner.children[1].fractionalIndex, "a1");
+  assert.deepEqual(inner.children[0].children[0].children, [{ type: "text", innerText: "Hi" }]);
+
+  assert.equal(tree.popup.type, "ModalContainer/V1");
+  assert.deepEqual(tree.popup.children.map((child) => child.type), ["Headline/V1"]);
+});
+
+test("exportPagetree wraps bare sections in a ContentNode", () => {
+  const tree = exportMarkup("<cf-section><cf-row><cf-col></cf-col></cf-row></cf-section>");
+  assert.equal(tree.content.type, "ContentNode");
+  assert.equal(tree.content.children[0].type, "SectionContainer/V1");
+  assert.equal(tree.popup, null);
+});
+
+test("importPagetree regenerates the source markup", () => {
+  const markup = FunnelWind.importPagetree(exportMarkup(PAGE));
+  assert.match(markup, /^<cf-page>/);
+  assert.match(markup, /<cf-button action="popup">Go<\/cf-button>/);
+  assert.match(markup, /<cf-popup>\s*<cf-headline>Pop<\/cf-headline>\s*<\/cf-popup>\s*<\/cf-page>$/);
+});
+
+test("importPagetree accepts a JSON string", () => {
+  const tree = exportMarkup(PAGE);
+  assert.equal(FunnelWind.importPagetree(JSON.stringify(tree)), FunnelWind.importPagetree(tree));
+});
+
+test("imported markup exports the same tree", () => {
+  const tree = exportMarkup(PAGE);
+  const again = exportMarkup(FunnelWind.importPagetree(tree));
+  assert.equal(stripIds(again.content), stripIds(tree.content));
+  assert.equal(stripIds(again.popup), stripIds(tree.popup));
+});
@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, nextFrame, wait } = require("./helpers");
+
+const popup = (id, attrs = "", body = "") => `
+  <cf-popup element-id="${id}" ${attrs}><cf-section><cf-row><cf-col>
+    <cf-headline>${id}</cf-headline>${body}
+  </cf-col></cf-row></cf-section></cf-popup>
+`;
+
+const PAGE = `
+  <cf-page>
+    <cf-section><cf-row><cf-col>
+      <cf-button action="popup">Lead</cf-button>
+      <cf-button action="popup" popup="terms">Terms</cf-button>
+    </cf-col></cf-row></cf-section>
+    ${popup("lead")}
+    ${popup("terms")}
+  </cf-page>
+`;
+
+const isOpen = (window, id) => window.document.getElementById(id).style.display === "flex";
+
+test("popup buttons open the popup they name, or the default one", async (t) => {
+  const window = await createPage(PAGE);
+  t.after(() => window.close());
+  const [lead, terms] = window.document.querySelectorAll('[data-action="popup"] a');
+
+  terms.click();
+  assert.ok(isOpen(window, "terms"));
+  assert.ok(!isOpen(window, "lead"));
+
+  window.FunnelWind.popups.hide("terms");
+  lead.click();
+  assert.ok(isOpen(window, "lead"));
+  assert.ok(!isOpen(window, "terms"));
+});
+
+test("FunnelWind.popups shows, hides and toggles popups by id", async (t) => {
+  const window = await createPage(PAGE);
+  t.after(() => window.close());
+  const { popups } = window.FunnelWind;
+
+  popups.show("terms");
+  assert.ok(isOpen(window, "terms"));
+  popups.toggle("terms");
+  assert.ok(!isOpen(window, "terms"));
+  popups.show();
+  assert.ok(isOpen(window, "lead"));
+  assert.equal(window.FunnelWindPopup, popups);
+});
+
+test("every popup renders as a ModalContainer/V1", async (t) => {
+  const window = await createPage(PAGE);
+  t.after(() => window.close());
+  const types = Array.from(window.document.querySelectorAll(".cf-popup-wrapper"))
+    .map((wrapper) => wrapper.getAttribute("data-type"));
+  assert.deepEqual(types, ["ModalContainer/V1", "ModalContainer/V1"]);
+});
+
+test("a delay popup opens by itself, once per session with show-once", async (t) => {
+  const window = await createPage(popup("offer", 'trigger="delay" delay="0.2" show-once="true"'));
+  t.after(() => window.close());
+
+  assert.ok(!isOpen(window, "offer"));
+  await wait(300);
+  assert.ok(isOpen(window, "offer"));
+  assert.equal(window.sessionStorage.getItem("cf-popup-shown:offer"), "true");
+
+  // Same session, next page view
+  window.FunnelWind.popups.hide("offer");
+  window.FunnelWind.destroy(window.document);
+  window.FunnelWind.init(window.document);
+  await wait(300);
+  assert.ok(!isOpen(window, "offer"));
+});
+
+test("an exit-intent popup opens when the pointer leaves through the top", async (t) => {
+  const window = await createPage(popup("exit", 'trigger="exit-intent"'));
+  t.after(() => window.close());
+  const mouseout = (clientY) =>
+    window.document.body.dispatchEvent(new window.MouseEvent("mouseout", { bubbles: true, clientY }));
+
+  mouseout(200);
+  assert.ok(!isOpen(window, "exit"));
+  mouseout(0);
+  assert.ok(isOpen(window, "exit"));
+});
+
+test("a scroll popup opens past its scroll depth", async (t) => {
+  const window = await createPage(popup("deep", 'trigger="scroll" scroll-percent="50"'));
+  t.after(() => window.close());
+  Object.defineProperty(window.document.documentElement, "scrollHeight", { value: 2000 });
+  window.innerHeight = 1000;
+
+  window.scrollY = 400;
+  window.dispatchEvent(new window.Event("scroll"));
+  assert.ok(!isOpen(window, "deep"));
+  window.scrollY = 600;
+  window.dispatchEvent(new window.Event("scroll"));
+  assert.ok(isOpen(window, "deep"));
+});
+
+test("destroy cancels a pending trigger", async (t) => {
+  const window = await createPage(popup("later", 'trigger="delay" delay="0.2"'));
+  t.after(() => window.close());
+
+  window.FunnelWind.destroy(window.document);
+  await wait(300);
+  assert.ok(!isOpen(window, "later"));
+});
+
+test("an open popup is a labelled modal dialog that holds the focus", async (t) => {
+  const window = await createPage(`
+    <cf-page>
+      <cf-section><cf-row><cf-col>
+        <cf-button action="popup">Join</cf-button>
+      </cf-col></cf-row></cf-section>
+      ${popup("join", "", '<cf-input name="email" type="email"></cf-input><cf-button action="submit">Send</cf-button>')}
+    </cf-page>
+  `);
+  t.after(() => window.close());
+  const { document } = window;
+  const modal = document.querySelector("#join .cf-popup-modal");
+  const opener = document.querySelector('[data-action="popup"] a');
+  const keydown = (key, shiftKey = false) =>
+    document.dispatchEvent(new window.KeyboardEvent("keydown", { key, shiftKey, bubbles: true, cancelable: true }));
+
+  assert.equal(modal.getAttribute("role"), "dialog");
+  assert.equal(modal.getAttribute("aria-modal"), "true");
+  assert.equal(modal.getAttribute("aria-label"), "join");
+  assert.equal(modal.querySelector(".cf-popup-close").getAttribute("aria-label"), "Close");
+
+  opener.focus();
+  opener.click();
+  assert.equal(document.activeElement, modal.querySelector("input"));
+  assert.equal(document.body.style.overflow, "hidden");
+
+  // Tab from the last focusable element wraps to the first and back
+  const focusable = modal.querySelectorAll("button, input, a[href]");
+  focusable[focusable.length - 1].focus();
+  keydown("Tab");
+  assert.equal(document.activeElement, focusable[0]);
+  keydown("Tab", true);
+  assert.equal(document.activeElement, focusable[focusable.length - 1]);
+
+  keydown("Escape");
+  assert.ok(!isOpen(window, "join"));
+  assert.equal(document.activeElement, opener);
+  assert.equal(document.body.style.overflow, "");
+});
+
+test("mockups initialized side by side open their own popups", async (t) => {
+  const window = await createPage("");
+  t.after(() => window.close());
+  const { document, FunnelWind } = window;
+  ["a", "b"].forEach((id) => {
+    document.body.insertAdjacentHTML("beforeend", `
+      <div id="${id}">
+        <cf-section><cf-row><cf-col>
+          <cf-button action="popup">Open</cf-button>
+        </cf-col></cf-row></cf-section>
+        <cf-popup><cf-section><cf-row><cf-col>
+          <cf-headline>${id}</cf-headline>
+        </cf-col></cf-row></cf-section></cf-popup>
+      </div>
+    `);
+  });
+  const a = document.getElementById("a");
+  const b = document.getElementById("b");
+  FunnelWind.init(a);
+  FunnelWind.init(b);
+  await nextFrame(window);
+
+  const wrapper = (root) => root.querySelector(".cf-popup-wrapper");
+  b.querySelector('[data-action="popup"] a').click();
+  assert.equal(wrapper(b).style.display, "flex");
+  assert.notEqual(wrapper(a).style.display, "flex");
+});
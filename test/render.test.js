@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+const { createPage } = require("./helpers");
+
+const normalize = (html) => html.replace(/\s+/g, " ").replace(/> </g, "><").trim();
+
+const PAGE = `
+  <cf-page>
+    <cf-section pt="48px">
+      <cf-row width="medium">
+        <cf-col span="6">
+          <cf-headline size="4xl" weight="bold">Fish &amp; chips</cf-headline>
+          <cf-paragraph>Served <strong>hot</strong>.</cf-paragraph>
+        </cf-col>
+        <cf-col span="6">
+          <cf-image src="https://example.com/a.png" alt="Plate"></cf-image>
+          <cf-button bg="#2563eb">Order</cf-button>
+        </cf-col>
+      </cf-row>
+    </cf-section>
+  </cf-page>
+`;
+
+test("renderToString works without a DOM", () => {
+  assert.equal(typeof document, "undefined");
+  const html = FunnelWind.renderToString(PAGE);
+  assert.doesNotMatch(html, /<cf-/);
+  assert.match(html, /data-type="ContentNode"/);
+  assert.match(html, /data-type="ColContainer\/V1" data-span="6"/);
+  assert.match(html, /<h1[^>]*font-size: 48px[^>]*>Fish &amp; chips<\/h1>/);
+  assert.match(html, /Served <strong>hot<\/strong>\./);
+});
+
+test("renderToString matches rendering in the browser", async (t) => {
+  const window = await createPage(PAGE);
+  t.after(() => window.close());
+  // Parse the string so both sides are serialized the same way
+  const parsed = window.document.createElement("div");
+  parsed.innerHTML = FunnelWind.renderToString(PAGE);
+  assert.equal(normalize(parsed.innerHTML), normalize(window.document.body.innerHTML));
+});
+
+test("renderToString leaves unknown markup alone", () => {
+  assert.equal(FunnelWind.renderToString('<div class="x">Hi</div>'), '<div class="x">Hi</div>');
+});
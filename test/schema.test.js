@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+
+test("schema() describes every attribute with a type and description", () => {
+  const schema = FunnelWind.schema();
+  assert.ok(schema["cf-section"] && schema["cf-headline"] && schema["cf-countdown"]);
+  Object.entries(schema).forEach(([tag, entry]) => {
+    assert.equal(typeof entry.description, "string", tag);
+    Object.entries(entry.attributes).forEach(([name, spec]) => {
+      assert.equal(typeof spec.type, "string", `${tag} ${name}`);
+      assert.equal(typeof spec.description, "string", `${tag} ${name}`);
+      if (spec.presets && spec.default !== undefined && spec.type === "enum") {
+        assert.ok(spec.presets.includes(spec.default), `${tag} ${name} default`);
+      }
+    });
+  });
+});
+
+test("schema(tag) returns one entry, or null for unknown tags", () => {
+  const row = FunnelWind.schema("cf-row");
+  assert.deepEqual(row.attributes.width.presets, ["narrow", "medium", "wide", "extra"]);
+  assert.ok(FunnelWind.schema("cf-headline").attributes.leading.presets.includes("relaxed"));
+  assert.ok(FunnelWind.schema("cf-headline").attributes.animation.presets.includes("fade-in"));
+  assert.equal(FunnelWind.schema("cf-nope"), null);
+});
+
+test("schema() returns a copy", () => {
+  FunnelWind.schema("cf-row").attributes.width.default = "narrow";
+  assert.equal(FunnelWind.schema("cf-row").attributes.width.default, "wide");
+});
+
+test("components render with the schema defaults", () => {
+  const html = FunnelWind.renderToString("<cf-row></cf-row><cf-headline>Hi</cf-headline>");
+  const headline = FunnelWind.schema("cf-headline").attributes;
+  assert.match(html, new RegExp(`data-width="${FunnelWind.schema("cf-row").attributes.width.default}"`));
+  assert.match(html, new RegExp(`data-size="${headline.size.default}"`));
+  assert.match(html, new RegExp(`data-leading="${headline.leading.default}"`));
+});
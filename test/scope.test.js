@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, nextFrame } = require("./helpers");
+
+const MOCKUP = `
+  <cf-section video-bg="https://example.com/bg.mp4" video-bg-poster="https://example.com/bg.jpg">
+    <cf-row><cf-col>
+      <cf-button action="scroll" scroll-target="target">Go</cf-button>
+    </cf-col></cf-row>
+  </cf-section>
+`;
+
+/**
+ * Page with two unrendered mockups added after the automatic init
+ */
+async function createMockups(t) {
+  const window = await createPage('<div id="target"></div>');
+  t.after(() => window.close());
+  const { document } = window;
+  ["a", "b"].forEach((id) => {
+    document.body.insertAdjacentHTML("beforeend", `<div id="${id}">${MOCKUP}</div>`);
+  });
+  window.scrolled = 0;
+  window.Element.prototype.scrollIntoView = () => { window.scrolled++; };
+  return window;
+}
+
+const click = (container) => container.querySelector('[data-type="Button/V1"] a').click();
+
+test("init(root) only attaches the runtime inside that container", async (t) => {
+  const window = await createMockups(t);
+  const { document, FunnelWind } = window;
+  const a = document.getElementById("a");
+  const b = document.getElementById("b");
+
+  FunnelWind.init(a);
+  await nextFrame(window);
+  // b renders itself through its custom elements (one level per frame),
+  // without the runtime
+  for (let i = 0; i < 4; i++) await nextFrame(window);
+  assert.ok(b.querySelector('[data-type="Button/V1"]'));
+
+  assert.equal(a.querySelectorAll(".cf-video-background").length, 1);
+  assert.equal(b.querySelector(".cf-video-background"), null);
+  click(b);
+  assert.equal(window.scrolled, 0);
+  click(a);
+  assert.equal(window.scrolled, 1);
+});
+
+test("init is idempotent", async (t) => {
+  const window = await createMockups(t);
+  const { document, FunnelWind } = window;
+  const a = document.getElementById("a");
+
+  FunnelWind.init(a);
+  await nextFrame(window);
+  FunnelWind.init(a);
+  FunnelWind.init(document);
+  await nextFrame(window);
+
+  assert.equal(a.querySelectorAll(".cf-video-background").length, 1);
+  click(a);
+  assert.equal(window.scrolled, 1);
+});
+
+test("destroy(root) tears down only that container and init attaches again", async (t) => {
+  const window = await createMockups(t);
+  const { document, FunnelWind } = window;
+  const a = document.getElementById("a");
+  const b = document.getElementById("b");
+
+  FunnelWind.init(document);
+  await nextFrame(window);
+  FunnelWind.destroy(a);
+
+  assert.equal(a.querySelector(".cf-video-background"), null);
+  assert.equal(b.querySelectorAll(".cf-video-background").length, 1);
+  assert.ok(a.querySelector('[data-type="SectionContainer/V1"]'));
+  click(a);
+  assert.equal(window.scrolled, 0);
+  click(b);
+  assert.equal(window.scrolled, 1);
+
+  FunnelWind.init(a);
+  await nextFrame(window);
+  click(a);
+  assert.equal(window.scrolled, 2);
+  assert.equal(a.querySelectorAll(".cf-video-background").length, 1);
+});
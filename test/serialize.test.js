@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+
+const normalize = (html) => html.replace(/>\s+</g, "><").trim();
+
+function assertRoundTrip(source) {
+  const rendered = FunnelWind.renderToString(source);
+  const serialized = FunnelWind.serialize(rendered);
+  assert.equal(normalize(FunnelWind.renderToString(serialized)), normalize(rendered), serialized);
+  return serialized;
+}
+
+test("serialize writes p for equal flex padding", () => {
+  const serialized = assertRoundTrip('<cf-flex p="20px"><cf-headline>Hi</cf-headline></cf-flex>');
+  assert.match(serialized, /<cf-flex p="20px">/);
+});
+
+test("serialize round-trips flex padding overrides", () => {
+  [
+    'p="20px" pt="5px"',
+    'p="20px" px="4px"',
+    'px="10px" py="20px"',
+    'pt="5px"',
+    'p="0"',
+  ].forEach((attributes) => {
+    assertRoundTrip(`<cf-flex ${attributes}><cf-headline>Hi</cf-headline></cf-flex>`);
+  });
+});
+
+test("serialize round-trips a page", () => {
+  assertRoundTrip(`
+    <cf-page bg="#f8fafc">
+      <cf-section pt="64px" pb="64px">
+        <cf-row width="medium">
+          <cf-col span="12">
+            <cf-headline size="4xl" weight="bold" align="center">Launch faster</cf-headline>
+            <cf-paragraph align="center">Everything you need.</cf-paragraph>
+            <cf-button bg="#2563eb" color="#ffffff" rounded="lg">Get started</cf-button>
+          </cf-col>
+        </cf-row>
+      </cf-section>
+    </cf-page>
+  `);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+
+const compact = (markup) => markup.replace(/\s+/g, "");
+
+test("a complete page is valid", () => {
+  const result = FunnelWind.validate(`
+    <cf-page>
+      <cf-section><cf-row><cf-col span="6"></cf-col><cf-col span="6">
+        <cf-flex><cf-button>Go</cf-button></cf-flex>
+      </cf-col></cf-row></cf-section>
+      <cf-popup><cf-section><cf-row><cf-col></cf-col></cf-row></cf-section></cf-popup>
+    </cf-page>
+  `);
+  assert.deepEqual(result.diagnostics, []);
+  assert.equal(result.valid, true);
+});
+
+test("top-level elements are accepted as a snippet", () => {
+  assert.equal(FunnelWind.validate("<cf-headline>Hi</cf-headline>").valid, true);
+});
+
+test("a row at the top level is wrapped in a section", () => {
+  const result = FunnelWind.validate("<cf-row><cf-col></cf-col></cf-row>", { repair: true });
+  assert.equal(result.valid, false);
+  assert.equal(result.diagnostics[0].rule, "missing-container");
+  assert.equal(result.diagnostics[0].fix, "Wrap it in <cf-section>");
+  assert.equal(compact(result.markup), "<cf-section><cf-row><cf-col></cf-col></cf-row></cf-section>");
+});
+
+test("flex containers at the top level share one wrapper", () => {
+  const result = FunnelWind.validate("<cf-flex></cf-flex><cf-flex></cf-flex>", { repair: true });
+  assert.deepEqual(result.diagnostics.map((d) => d.fix), [
+    "Wrap it in <cf-section> > <cf-row> > <cf-col>",
+    "Wrap it in <cf-section> > <cf-row> > <cf-col>",
+  ]);
+  assert.equal(
+    compact(result.markup),
+    "<cf-section><cf-row><cf-col><cf-flex></cf-flex><cf-flex></cf-flex></cf-col></cf-row></cf-section>"
+  );
+});
+
+test("elements in the wrong container get the missing ones", () => {
+  const result = FunnelWind.validate("<cf-section><cf-row><cf-headline>Hi</cf-headline></cf-row></cf-section>", { repair: true });
+  assert.equal(compact(result.markup), "<cf-section><cf-row><cf-col><cf-headline>Hi</cf-headline></cf-col></cf-row></cf-section>");
+});
+
+test("misplaced sections and span overflows are reported", () => {
+  const result = FunnelWind.validate(`
+    <cf-section><cf-row>
+      <cf-col span="8"><cf-section></cf-section></cf-col>
+      <cf-col span="8"></cf-col>
+    </cf-row></cf-section>
+  `);
+  assert.deepEqual(result.diagnostics.map((d) => d.rule).sort(), ["misplaced-element", "span-overflow"]);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, nextFrame } = require("./helpers");
+
+const section = (attrs) => `
+  <cf-section ${attrs}><cf-row><cf-col>
+    <cf-headline>Hero</cf-headline>
+  </cf-col></cf-row></cf-section>
+`;
+
+/**
+ * Re-initialize the page with a viewport of the given width and an
+ * IntersectionObserver the test can drive
+ */
+async function reinit(window, { mobile = false } = {}) {
+  const observers = [];
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      observers.push(this);
+    }
+    observe(target) { this.target = target; }
+    disconnect() {}
+  };
+  const listeners = [];
+  window.matchMedia = () => ({
+    get matches() { return mobile; },
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: () => {},
+  });
+  window.FunnelWind.destroy(window.document);
+  window.FunnelWind.init(window.document);
+  await nextFrame(window);
+
+  const videoObserver = observers.find((observer) => observer.target.hasAttribute("data-video-bg-url"));
+  return {
+    setVisible: (visible) => videoObserver.callback([{ isIntersecting: visible, target: videoObserver.target }]),
+    leaveMobile: () => {
+      mobile = false;
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+test("a video background shows its poster, covers the section and pauses off screen", async (t) => {
+  const window = await createPage(section('video-bg="https://example.com/bg.mp4" video-bg-poster="https://example.com/bg.jpg"'));
+  t.after(() => window.close());
+  const calls = [];
+  window.HTMLMediaElement.prototype.play = () => { calls.push("play"); };
+  window.HTMLMediaElement.prototype.pause = () => { calls.push("pause"); };
+  const { setVisible } = await reinit(window);
+
+  const background = window.document.querySelector(".cf-video-background");
+  assert.match(background.querySelector(".cf-video-background-poster").style.backgroundImage, /bg\.jpg/);
+  assert.match(background.querySelector(".cf-video-background-wrapper").style.transform, /scale\(1\.5\)/);
+  assert.ok(background.querySelector("video"));
+
+  setVisible(false);
+  setVisible(true);
+  assert.deepEqual(calls, ["pause", "play"]);
+});
+
+test("fit mode shows the whole video", async (t) => {
+  const window = await createPage(section('video-bg="https://youtu.be/dQw4w9WgXcQ" video-bg-style="fit"'));
+  t.after(() => window.close());
+
+  const background = window.document.querySelector(".cf-video-background");
+  assert.equal(background.querySelector(".cf-video-background-wrapper").style.transform, "");
+  assert.match(background.querySelector("iframe").getAttribute("style"), /object-fit: contain/);
+  assert.match(background.querySelector(".cf-video-background-poster").style.backgroundImage, /img\.youtube\.com\/vi\/dQw4w9WgXcQ/);
+});
+
+test("mobile hiding is per section and loads the video once the viewport widens", async (t) => {
+  const window = await createPage(
+    section('video-bg="https://youtu.be/dQw4w9WgXcQ"') +
+    section('video-bg="https://youtu.be/dQw4w9WgXcQ" video-bg-hide-mobile="false"')
+  );
+  t.after(() => window.close());
+  const { leaveMobile } = await reinit(window, { mobile: true });
+
+  const [hidden, shown] = window.document.querySelectorAll(".cf-video-background");
+  assert.ok(hidden.classList.contains("cf-video-background-hide-mobile"));
+  assert.ok(!shown.classList.contains("cf-video-background-hide-mobile"));
+  assert.equal(hidden.querySelector("iframe"), null);
+  assert.ok(shown.querySelector("iframe"));
+
+  leaveMobile();
+  assert.ok(hidden.querySelector("iframe"));
+});
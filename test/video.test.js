@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const FunnelWind = require("../cf-elements.js");
+const { createPage } = require("./helpers");
+
+test("a video popup plays its video in a lightbox until closed", async (t) => {
+  const window = await createPage(`
+    <cf-video-popup url="https://youtu.be/dQw4w9WgXcQ" overlay-bg="rgba(0, 0, 0, 0.9)"></cf-video-popup>
+  `);
+  t.after(() => window.close());
+  const { document } = window;
+  const thumbnail = document.querySelector('[data-type="VideoPopup/V1"] .elImageWrapper');
+  const lightbox = () => document.querySelector(".cf-video-lightbox");
+
+  assert.equal(thumbnail.getAttribute("role"), "button");
+  thumbnail.click();
+  assert.equal(lightbox().style.background, "rgba(0, 0, 0, 0.9)");
+  assert.match(lightbox().querySelector("iframe").src, /^https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ\?.*autoplay=1/);
+  assert.equal(document.activeElement, lightbox().querySelector(".cf-video-lightbox-close"));
+
+  // Escape removes the player, which stops playback
+  document.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Escape" }));
+  assert.equal(lightbox(), null);
+  assert.equal(document.activeElement, thumbnail);
+
+  thumbnail.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  lightbox().click();
+  assert.equal(lightbox(), null);
+});
+
+test("destroy closes an open lightbox and releases the thumbnail", async (t) => {
+  const window = await createPage(`
+    <cf-video-popup url="https://youtu.be/dQw4w9WgXcQ"></cf-video-popup>
+  `);
+  t.after(() => window.close());
+  const { document } = window;
+  const thumbnail = document.querySelector(".elImageWrapper");
+
+  thumbnail.click();
+  window.FunnelWind.destroy(document);
+  assert.equal(document.querySelector(".cf-video-lightbox"), null);
+  assert.equal(thumbnail.hasAttribute("role"), false);
+  thumbnail.click();
+  assert.equal(document.querySelector(".cf-video-lightbox"), null);
+});
+
+const PROVIDERS = [
+  ["https://www.youtube.com/watch?v=dQw4w9WgXcQ", "youtube", /<iframe\s+src="https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ"/],
+  ["https://vimeo.com/76979871", "vimeo", /<iframe\s+src="https:\/\/player\.vimeo\.com\/video\/76979871"/],
+  ["https://fast.wistia.net/medias/abc123def4", "wistia", /<iframe\s+src="https:\/\/fast\.wistia\.net\/embed\/iframe\/abc123def4"/],
+  ["https://example.com/clip.mp4", "mp4", /<video src="https:\/\/example\.com\/clip\.mp4"/],
+];
+
+PROVIDERS.forEach(([url, type, embed]) => {
+  test(`${type} URLs get a ${type} player and data-video-type`, () => {
+    const video = FunnelWind.renderToString(`<cf-video url="${url}"></cf-video>`);
+    assert.match(video, new RegExp(`data-video-type="${type}"`));
+    assert.match(video, embed);
+
+    const popup = FunnelWind.renderToString(`<cf-video-popup url="${url}"></cf-video-popup>`);
+    assert.match(popup, new RegExp(`data-video-type="${type}"`));
+
+    const section = FunnelWind.renderToString(`<cf-section video-bg="${url}"></cf-section>`);
+    assert.match(section, new RegExp(`data-video-bg-type="${type}"`));
+  });
+});
+
+test("thumbnails come from the URL for YouTube only", () => {
+  const youtube = FunnelWind.renderToString('<cf-video-popup url="https://youtu.be/dQw4w9WgXcQ"></cf-video-popup>');
+  assert.match(youtube, /data-thumbnail="https:\/\/img\.youtube\.com\/vi\/dQw4w9WgXcQ\/maxresdefault\.jpg"/);
+  const vimeo = FunnelWind.renderToString('<cf-video-popup url="https://vimeo.com/76979871"></cf-video-popup>');
+  assert.match(vimeo, /data-thumbnail=""/);
+});
+
+test("playback options reach the embed URL and the data attributes", () => {
+  const html = FunnelWind.renderToString(`
+    <cf-video url="https://youtu.be/dQw4w9WgXcQ" autoplay="true" controls="false" start="10" end="20" aspect-ratio="4/3"></cf-video>
+  `);
+  assert.match(html, /data-autoplay="true" data-controls="false" data-start="10" data-end="20" data-aspect-ratio="4\/3"/);
+  assert.match(html, /aspect-ratio: 4\/3/);
+  assert.match(html, /src="https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ\?autoplay=1&controls=0&start=10&end=20&rel=0&playsinline=1"/);
+});
+
+test("a video without options keeps the bare embed", () => {
+  const html = FunnelWind.renderToString('<cf-video url="https://youtu.be/dQw4w9WgXcQ"></cf-video>');
+  assert.match(html, /src="https:\/\/www\.youtube\.com\/embed\/dQw4w9WgXcQ"/);
+  assert.match(html, /aspect-ratio: 16\/9/);
+  assert.doesNotMatch(html, /data-autoplay|data-aspect-ratio/);
+});
+
+test("playback options survive a pagetree round trip", () => {
+  const source = '<cf-video url="https://example.com/clip.mp4" muted="true" loop="true" start="5"></cf-video>';
+  const markup = FunnelWind.importPagetree(FunnelWind.exportPagetree(FunnelWind.renderToString(source)));
+  assert.match(markup, /<cf-video url="https:\/\/example\.com\/clip\.mp4" muted="true" loop="true" start="5"><\/cf-video>/);
+});